@@ -4,10 +4,14 @@ const crypto = require("crypto");
 const express = require("express");
 const WebSocket = require("ws");
 const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
 const { EventEmitter } = require("events");
 const fs = require("fs");
 const path = require("path");
 const { firefox } = require("playwright");
+const multer = require("multer");
 const os = require("os");
 
 // ===================================================================================
@@ -844,6 +848,744 @@ class LoggingService {
   }
 }
 
+// 生成的图片等媒体文件落盘保存，通过 /media/<文件名> 对外提供，避免在响应中内嵌巨大的 base64
+class MediaStore {
+  constructor(logger, config) {
+    this.logger = logger;
+    this.mediaDir = config.mediaDir || path.join(__dirname, "media");
+    this.ttlMs = config.mediaTtlMinutes * 60 * 1000;
+    this.maxBytes = config.mediaMaxSizeMB * 1024 * 1024;
+    this.publicBaseUrl = (config.publicBaseUrl || "").replace(/\/+$/, "");
+    this.extensions = {
+      "image/png": "png",
+      "image/jpeg": "jpg",
+      "image/webp": "webp",
+      "image/gif": "gif",
+    };
+
+    this.ready = null;
+    this.cleaning = false;
+    this.savesSinceCleanup = 0;
+    // 文件名 -> 写入中的 Promise，/media 请求会等待写入完成
+    this.pendingWrites = new Map();
+
+    if (config.mediaOutputMode === "hosted_url") {
+      this._ensureReady();
+    }
+  }
+
+  // 目录和定期清理只在真正用到时才创建 (data_url 模式下只有 response_format=url 的图片请求会用到)
+  _ensureReady() {
+    if (!this.ready) {
+      this.ready = fs.promises
+        .mkdir(this.mediaDir, { recursive: true })
+        .then(() => {
+          // 定期清理过期文件，不阻止进程退出
+          this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+          this.cleanupTimer.unref();
+          this.cleanup();
+        })
+        .catch((error) => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    return this.ready;
+  }
+
+  // 保存 Google 返回的 inlineData，返回可访问的 URL (文件在后台异步写入)
+  save(inlineData) {
+    const extension = this.extensions[inlineData.mimeType] || "bin";
+    const fileName = `${crypto.randomBytes(16).toString("hex")}.${extension}`;
+    const write = this._ensureReady()
+      .then(() =>
+        fs.promises.writeFile(
+          path.join(this.mediaDir, fileName),
+          Buffer.from(inlineData.data, "base64")
+        )
+      )
+      .catch((error) => {
+        this.logger.error(
+          `[Media] 保存媒体文件 ${fileName} 失败: ${error.message}`
+        );
+      })
+      .finally(() => this.pendingWrites.delete(fileName));
+    this.pendingWrites.set(fileName, write);
+    // 除定时清理外，每保存一定数量的文件也清理一次，避免短时间内超出容量上限
+    if (++this.savesSinceCleanup >= 20) {
+      write.then(() => this.cleanup());
+    }
+    return `${this.publicBaseUrl}/media/${fileName}`;
+  }
+
+  // 只接受本模块生成的文件名，防止路径穿越
+  async resolve(fileName) {
+    if (!/^[a-f0-9]{32}\.[a-z]+$/.test(fileName)) return null;
+    await this.pendingWrites.get(fileName);
+    const filePath = path.join(this.mediaDir, fileName);
+    try {
+      await fs.promises.access(filePath);
+      return filePath;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async cleanup() {
+    if (this.cleaning) return;
+    this.cleaning = true;
+    this.savesSinceCleanup = 0;
+    try {
+      let files;
+      try {
+        const names = await fs.promises.readdir(this.mediaDir);
+        files = (
+          await Promise.all(
+            names.map(async (name) => {
+              const stat = await fs.promises.stat(
+                path.join(this.mediaDir, name)
+              );
+              return { name, size: stat.size, mtime: stat.mtimeMs };
+            })
+          )
+        ).sort((a, b) => a.mtime - b.mtime);
+      } catch (error) {
+        this.logger.warn(`[Media] 读取媒体目录失败: ${error.message}`);
+        return;
+      }
+
+      const now = Date.now();
+      let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+      let removedCount = 0;
+      for (const file of files) {
+        // 先淘汰过期文件，再从最旧的开始淘汰直到总大小低于上限
+        if (now - file.mtime <= this.ttlMs && totalBytes <= this.maxBytes)
+          break;
+        try {
+          await fs.promises.unlink(path.join(this.mediaDir, file.name));
+          totalBytes -= file.size;
+          removedCount++;
+        } catch (error) {
+          this.logger.warn(
+            `[Media] 删除媒体文件 ${file.name} 失败: ${error.message}`
+          );
+        }
+      }
+      if (removedCount > 0) {
+        this.logger.info(
+          `[Media] 已清理 ${removedCount} 个过期或超额的媒体文件。`
+        );
+      }
+    } finally {
+      this.cleaning = false;
+    }
+  }
+}
+
+// 批处理 worker 调用现有处理器时使用的响应对象，只收集状态码和响应体
+class BatchResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.chunks = [];
+    this.headersSent = false;
+    this.writableEnded = false;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  set(name, value) {
+    if (typeof name === "object") Object.assign(this.headers, name);
+    else this.headers[name] = value;
+    return this;
+  }
+
+  header(name, value) {
+    return this.set(name, value);
+  }
+
+  write(chunk) {
+    this.headersSent = true;
+    this.chunks.push(String(chunk));
+    return true;
+  }
+
+  json(payload) {
+    this.write(JSON.stringify(payload));
+    return this.end();
+  }
+
+  send(payload) {
+    this.write(typeof payload === "string" ? payload : JSON.stringify(payload));
+    return this.end();
+  }
+
+  end(chunk) {
+    if (chunk) this.write(chunk);
+    this.writableEnded = true;
+    return this;
+  }
+
+  get body() {
+    const text = this.chunks.join("");
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+}
+
+// 批处理：/v1/files 上传的 JSONL 由后台 worker 逐行交给现有的 chat / embeddings 处理器执行。
+// 文件和批次状态都保存在磁盘上，服务重启后未完成的批次会从中断处继续。
+// 文件和批次只对创建它们的 API Key 可见 (磁盘上只保存 Key 的哈希)。
+class BatchManager {
+  constructor(logger, config, requestHandler) {
+    this.logger = logger;
+    this.config = config;
+    this.requestHandler = requestHandler;
+    const baseDir = config.batchDir || path.join(__dirname, "batches");
+    this.filesDir = path.join(baseDir, "files");
+    this.batchesDir = path.join(baseDir, "batches");
+    this.uploadDir = path.join(baseDir, "uploads");
+    // 目录在首次写入时才创建；上传目录只存放 multer 的临时文件，启动时清空残留
+    fs.rmSync(this.uploadDir, { recursive: true, force: true });
+    this.endpoints = ["/v1/chat/completions", "/v1/embeddings"];
+    // 账号索引 -> 批处理请求时间戳，用于按时间窗口计算额度
+    this.accountUsage = new Map();
+    this.activeBatchId = null;
+    this.wakeUp = null;
+
+    this.files = this._loadJsonDir(this.filesDir);
+    this.batches = this._loadJsonDir(this.batchesDir);
+    const pendingCount = [...this.batches.values()].filter(
+      (batch) => !this._isFinished(batch)
+    ).length;
+    if (pendingCount > 0) {
+      this.logger.info(
+        `[Batch] 发现 ${pendingCount} 个未完成的批次，将继续执行。`
+      );
+    }
+    this._runWorker().catch((error) =>
+      this.logger.error(`[Batch] 批处理 worker 已停止: ${error.message}`)
+    );
+  }
+
+  _loadJsonDir(dir) {
+    const items = new Map();
+    if (!fs.existsSync(dir)) return items;
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        const item = JSON.parse(fs.readFileSync(path.join(dir, name), "utf-8"));
+        items.set(item.id, item);
+      } catch (error) {
+        this.logger.warn(`[Batch] 无法读取 ${name}: ${error.message}`);
+      }
+    }
+    return items;
+  }
+
+  _createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  _now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  // 未配置 API Key 时所有请求共用同一个 (null) 所有者；RequestHandler 的响应存储也用它标记所有者
+  static ownerOf(apiKey) {
+    return apiKey
+      ? crypto.createHash("sha256").update(apiKey).digest("hex")
+      : null;
+  }
+
+  // 执行批次时按哈希找回创建者的 Key，使按 Key 的配置同样生效；Key 已被移除时按无 Key 处理
+  _resolveApiKey(owner) {
+    if (!owner) return null;
+    return (
+      (this.config.apiKeys || []).find(
+        (key) => BatchManager.ownerOf(key) === owner
+      ) || null
+    );
+  }
+
+  // --- Files ---
+
+  filePath(fileId) {
+    return path.join(this.filesDir, fileId);
+  }
+
+  // 把已落盘的临时文件登记为 File 对象
+  createFile(sourcePath, fileName, purpose, apiKey) {
+    return this._registerFile(
+      sourcePath,
+      fileName,
+      purpose,
+      BatchManager.ownerOf(apiKey)
+    );
+  }
+
+  _registerFile(sourcePath, fileName, purpose, owner) {
+    const id = `file-${crypto.randomBytes(12).toString("hex")}`;
+    fs.mkdirSync(this.filesDir, { recursive: true });
+    fs.renameSync(sourcePath, this.filePath(id));
+    const file = {
+      id,
+      object: "file",
+      bytes: fs.statSync(this.filePath(id)).size,
+      created_at: this._now(),
+      filename: fileName,
+      purpose,
+      status: "processed",
+      _owner: owner,
+    };
+    this.files.set(id, file);
+    this._writeJson(this.filesDir, file);
+    return file;
+  }
+
+  getFile(fileId, apiKey) {
+    const file = this.files.get(fileId);
+    if (!file || file._owner !== BatchManager.ownerOf(apiKey)) {
+      throw this._createError(404, `No such File object: ${fileId}`);
+    }
+    return file;
+  }
+
+  listFiles(purpose, apiKey) {
+    const owner = BatchManager.ownerOf(apiKey);
+    return [...this.files.values()]
+      .filter(
+        (file) =>
+          file._owner === owner && (!purpose || file.purpose === purpose)
+      )
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+
+  deleteFile(fileId, apiKey) {
+    this.getFile(fileId, apiKey);
+    this.files.delete(fileId);
+    fs.rmSync(this.filePath(fileId), { force: true });
+    fs.rmSync(path.join(this.filesDir, `${fileId}.json`), { force: true });
+    return { id: fileId, object: "file", deleted: true };
+  }
+
+  // --- Batches ---
+
+  createBatch(body, apiKey) {
+    if (!this.endpoints.includes(body.endpoint)) {
+      throw this._createError(
+        400,
+        `Unsupported endpoint '${
+          body.endpoint
+        }'. Supported endpoints: ${this.endpoints.join(", ")}.`
+      );
+    }
+    if (body.completion_window && body.completion_window !== "24h") {
+      throw this._createError(400, "'completion_window' must be '24h'.");
+    }
+    const inputFile = this.getFile(body.input_file_id, apiKey);
+
+    const now = this._now();
+    const batch = {
+      id: `batch_${crypto.randomBytes(12).toString("hex")}`,
+      object: "batch",
+      endpoint: body.endpoint,
+      errors: null,
+      input_file_id: inputFile.id,
+      completion_window: "24h",
+      status: "validating",
+      output_file_id: null,
+      error_file_id: null,
+      created_at: now,
+      in_progress_at: null,
+      expires_at: now + 24 * 60 * 60,
+      finalizing_at: null,
+      completed_at: null,
+      failed_at: null,
+      expired_at: null,
+      cancelling_at: null,
+      cancelled_at: null,
+      request_counts: { total: 0, completed: 0, failed: 0 },
+      metadata: body.metadata || null,
+      _owner: BatchManager.ownerOf(apiKey),
+    };
+
+    const { requests, errors } = this._readInputFile(batch);
+    if (errors.length > 0) {
+      batch.status = "failed";
+      batch.failed_at = now;
+      batch.errors = { object: "list", data: errors };
+    } else {
+      batch.request_counts.total = requests.length;
+    }
+    this.batches.set(batch.id, batch);
+    this._saveBatch(batch);
+    this.logger.info(
+      `[Batch] 已创建批次 ${batch.id} (${batch.endpoint}, ${
+        requests.length
+      } 个请求)${errors.length > 0 ? `，校验失败 ${errors.length} 处` : ""}`
+    );
+    this._wake();
+    return batch;
+  }
+
+  getBatch(batchId, apiKey) {
+    const batch = this.batches.get(batchId);
+    if (!batch || batch._owner !== BatchManager.ownerOf(apiKey)) {
+      throw this._createError(404, `No such Batch object: ${batchId}`);
+    }
+    return batch;
+  }
+
+  listBatches(limit, after, apiKey) {
+    const owner = BatchManager.ownerOf(apiKey);
+    let batches = [...this.batches.values()]
+      .filter((batch) => batch._owner === owner)
+      .sort((a, b) => b.created_at - a.created_at);
+    if (after) {
+      const index = batches.findIndex((batch) => batch.id === after);
+      batches = index >= 0 ? batches.slice(index + 1) : [];
+    }
+    return {
+      data: batches.slice(0, limit),
+      has_more: batches.length > limit,
+    };
+  }
+
+  cancelBatch(batchId, apiKey) {
+    const batch = this.getBatch(batchId, apiKey);
+    if (this._isFinished(batch) || batch.status === "cancelling") {
+      throw this._createError(
+        409,
+        `Cannot cancel a batch with status '${batch.status}'.`
+      );
+    }
+    batch.status = "cancelling";
+    batch.cancelling_at = this._now();
+    this._saveBatch(batch);
+    // 尚未开始执行的批次直接结束；执行中的由 worker 等在途请求完成后结束
+    if (this.activeBatchId !== batch.id) {
+      this._finalizeBatch(batch, "cancelled");
+    }
+    this._wake();
+    return batch;
+  }
+
+  // API 响应中去掉内部字段 (File 和 Batch 通用)
+  toPublic(item) {
+    return Object.fromEntries(
+      Object.entries(item).filter(([key]) => !key.startsWith("_"))
+    );
+  }
+
+  _isFinished(batch) {
+    return ["completed", "failed", "expired", "cancelled"].includes(
+      batch.status
+    );
+  }
+
+  // 校验输入文件：每行是带唯一 custom_id、method 为 POST、url 与批次 endpoint 一致的 JSON
+  _readInputFile(batch) {
+    const requests = [];
+    const errors = [];
+    const customIds = new Set();
+    const lines = fs
+      .readFileSync(this.filePath(batch.input_file_id), "utf-8")
+      .split(/\r?\n/);
+    lines.forEach((text, index) => {
+      if (!text.trim()) return;
+      const line = index + 1;
+      let request;
+      try {
+        request = JSON.parse(text);
+      } catch (error) {
+        errors.push({
+          code: "invalid_json_line",
+          message: `Line ${line} is not valid JSON.`,
+          line,
+        });
+        return;
+      }
+      if (!request.custom_id || customIds.has(request.custom_id)) {
+        errors.push({
+          code: "duplicate_custom_id",
+          message: `Line ${line} has a missing or duplicate custom_id.`,
+          line,
+        });
+      } else if (request.method !== "POST" || request.url !== batch.endpoint) {
+        errors.push({
+          code: "mismatched_endpoint",
+          message: `Line ${line} must be a POST to ${batch.endpoint}.`,
+          line,
+        });
+      } else {
+        customIds.add(request.custom_id);
+        requests.push(request);
+      }
+    });
+    if (requests.length === 0 && errors.length === 0) {
+      errors.push({
+        code: "empty_file",
+        message: "The input file contains no requests.",
+        line: null,
+      });
+    }
+    return { requests, errors };
+  }
+
+  // 执行中的结果逐行追加到批次目录下的临时文件，结束时再登记为输出文件
+  _resultPath(batch, kind) {
+    return path.join(this.batchesDir, `${batch.id}.${kind}.jsonl`);
+  }
+
+  _readResultIds(batch, kind) {
+    const resultPath = this._resultPath(batch, kind);
+    if (!fs.existsSync(resultPath)) return [];
+    return fs
+      .readFileSync(resultPath, "utf-8")
+      .split("\n")
+      .filter(Boolean)
+      .map((text) => JSON.parse(text).custom_id);
+  }
+
+  _writeJson(dir, item) {
+    const filePath = path.join(dir, `${item.id}.json`);
+    fs.mkdirSync(dir, { recursive: true });
+    // 先写临时文件再重命名，避免进程中断时留下半截的状态文件
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(item, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  _saveBatch(batch) {
+    this._writeJson(this.batchesDir, batch);
+  }
+
+  _wake() {
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  // 可被 _wake 提前唤醒的等待，不阻止进程退出
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => done(), ms);
+      timer.unref();
+      const done = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
+      this.wakeUp = done;
+    });
+  }
+
+  async _runWorker() {
+    while (true) {
+      const batch = [...this.batches.values()]
+        .filter((item) => !this._isFinished(item))
+        .sort((a, b) => a.created_at - b.created_at)[0];
+      if (!batch) {
+        await this._sleep(60 * 1000);
+        continue;
+      }
+      try {
+        await this._processBatch(batch);
+      } catch (error) {
+        this.logger.error(
+          `[Batch] 批次 ${batch.id} 执行出错: ${error.message}`
+        );
+        this.activeBatchId = null;
+        try {
+          this._finalizeBatch(batch, "failed", [
+            { code: "server_error", message: error.message, line: null },
+          ]);
+        } catch (finalizeError) {
+          // 状态无法落盘 (磁盘已满、权限等) 时稍后重试，worker 不能因此退出
+          this.logger.error(
+            `[Batch] 批次 ${batch.id} 无法结束，稍后重试: ${finalizeError.message}`
+          );
+          await this._sleep(60 * 1000);
+        }
+      }
+    }
+  }
+
+  async _processBatch(batch) {
+    if (batch.status === "validating") {
+      batch.status = "in_progress";
+      batch.in_progress_at = this._now();
+    }
+    // 从中断处继续：跳过已有结果的请求，并以结果文件为准重算计数
+    const completedIds = this._readResultIds(batch, "output");
+    const failedIds = this._readResultIds(batch, "errors");
+    batch.request_counts.completed = completedIds.length;
+    batch.request_counts.failed = failedIds.length;
+    this._saveBatch(batch);
+    const doneIds = new Set([...completedIds, ...failedIds]);
+    const { requests } = this._readInputFile(batch);
+    const pending = requests.filter(
+      (request) => !doneIds.has(request.custom_id)
+    );
+
+    this.activeBatchId = batch.id;
+    this.logger.info(
+      `[Batch] 开始执行批次 ${batch.id}，剩余 ${pending.length}/${requests.length} 个请求。`
+    );
+    const inFlight = new Set();
+    let expired = false;
+    for (const request of pending) {
+      await this._waitUntilReady(batch, inFlight);
+      if (batch.status !== "in_progress") break;
+      if (this._now() > batch.expires_at) {
+        expired = true;
+        break;
+      }
+      const task = this._executeRequest(batch, request).finally(() =>
+        inFlight.delete(task)
+      );
+      inFlight.add(task);
+      if (inFlight.size >= Math.max(1, this.config.batchConcurrency)) {
+        await Promise.race(inFlight);
+      }
+    }
+    await Promise.all(inFlight);
+    this.activeBatchId = null;
+
+    if (batch.status === "cancelling") {
+      this._finalizeBatch(batch, "cancelled");
+    } else {
+      this._finalizeBatch(batch, expired ? "expired" : "completed");
+    }
+  }
+
+  // 等待浏览器连接可用，并检查当前账号在时间窗口内的批处理额度。
+  // 账号由交互请求共用，批处理不会主动切换账号：额度用完时等待额度恢复，
+  // 或等常规的轮换/失败切换换到仍有额度的账号
+  async _waitUntilReady(batch, inFlight) {
+    const handler = this.requestHandler;
+    let waitingIndex = null;
+    while (batch.status === "in_progress") {
+      if (
+        !handler.connectionRegistry.hasActiveConnections() ||
+        handler.isSystemBusy
+      ) {
+        await this._sleep(5000);
+        continue;
+      }
+      const currentIndex = handler.currentAuthIndex;
+      if (this._hasAccountBudget(currentIndex)) return;
+
+      if (waitingIndex !== currentIndex) {
+        waitingIndex = currentIndex;
+        this.logger.info(
+          `[Batch] 账号 #${currentIndex} 的批处理额度已用完，等待额度恢复或账号切换...`
+        );
+      }
+      await this._sleep(inFlight.size > 0 ? 1000 : 30 * 1000);
+    }
+  }
+
+  _hasAccountBudget(authIndex) {
+    const budget = this.config.batchAccountBudget;
+    if (!(budget > 0)) return true;
+    const windowStart =
+      Date.now() - this.config.batchBudgetWindowMinutes * 60 * 1000;
+    const usage = (this.accountUsage.get(authIndex) || []).filter(
+      (time) => time > windowStart
+    );
+    this.accountUsage.set(authIndex, usage);
+    return usage.length < budget;
+  }
+
+  async _executeRequest(batch, request) {
+    const authIndex = this.requestHandler.currentAuthIndex;
+    this.accountUsage.set(authIndex, [
+      ...(this.accountUsage.get(authIndex) || []),
+      Date.now(),
+    ]);
+
+    const req = {
+      method: "POST",
+      path: batch.endpoint,
+      headers: {},
+      query: {},
+      body: { ...request.body, stream: false },
+      apiKey: this._resolveApiKey(batch._owner),
+    };
+    const res = new BatchResponse();
+    try {
+      if (batch.endpoint === "/v1/embeddings") {
+        await this.requestHandler.processEmbeddingsRequest(req, res);
+      } else {
+        await this.requestHandler.processOpenAIRequest(req, res);
+      }
+      if (!res.writableEnded) {
+        res.status(500).json({
+          error: { message: "The request produced no response." },
+        });
+      }
+    } catch (error) {
+      res.chunks = [];
+      res.status(500).json({ error: { message: error.message } });
+    }
+
+    const succeeded = res.statusCode < 400;
+    const result = {
+      id: `batch_req_${crypto.randomBytes(12).toString("hex")}`,
+      custom_id: request.custom_id,
+      response: {
+        status_code: res.statusCode,
+        request_id: crypto.randomBytes(16).toString("hex"),
+        body: res.body,
+      },
+      error: null,
+    };
+    fs.appendFileSync(
+      this._resultPath(batch, succeeded ? "output" : "errors"),
+      JSON.stringify(result) + "\n"
+    );
+    batch.request_counts[succeeded ? "completed" : "failed"]++;
+    this._saveBatch(batch);
+  }
+
+  _finalizeBatch(batch, status, errors = null) {
+    const now = this._now();
+    batch.finalizing_at = batch.finalizing_at || now;
+    for (const [kind, field] of [
+      ["output", "output_file_id"],
+      ["errors", "error_file_id"],
+    ]) {
+      const resultPath = this._resultPath(batch, kind);
+      if (!fs.existsSync(resultPath)) continue;
+      if (fs.statSync(resultPath).size > 0) {
+        batch[field] = this._registerFile(
+          resultPath,
+          `${batch.id}_${kind}.jsonl`,
+          "batch_output",
+          batch._owner
+        ).id;
+      } else {
+        fs.rmSync(resultPath, { force: true });
+      }
+    }
+    if (errors) batch.errors = { object: "list", data: errors };
+    batch.status = status;
+    batch[`${status}_at`] = now;
+    this._saveBatch(batch);
+    this.logger.info(
+      `[Batch] 批次 ${batch.id} 已结束，状态: ${status} (成功 ${batch.request_counts.completed}, 失败 ${batch.request_counts.failed})`
+    );
+  }
+}
+
 class MessageQueue extends EventEmitter {
   constructor(timeoutMs = 600000) {
     super();
@@ -1023,6 +1765,17 @@ class RequestHandler {
     this.isAuthSwitching = false;
     this.needsSwitchingAfterRequest = false;
     this.isSystemBusy = false;
+    // tool_call_id -> thoughtSignature，回传工具调用时需要原样带回 (Gemini 3 强制校验)
+    this.thoughtSignatures = new Map();
+    // response_id -> { response, items, size, createdAt, owner }，供 /v1/responses 的 previous_response_id 续接对话
+    // 仅保存在内存中 (重启后丢失)，按保存时长和总字节数淘汰
+    this.responseStore = new Map();
+    this.responseStoreBytes = 0;
+    // 从 v1beta/models 拉取的模型信息缓存 (MODEL_DISCOVERY 开启时使用)
+    this.modelCache = { models: null, fetchedAt: 0, pending: null };
+    // 前缀哈希 -> cachedContents 条目 (CONTEXT_CACHE 开启时使用)，按最近使用排序
+    this.contextCaches = new Map();
+    this.startedAt = Date.now();
   }
 
   get currentAuthIndex() {
@@ -1181,6 +1934,14 @@ class RequestHandler {
   }
 
   async _handleRequestFailureAndSwitch(errorDetails, res) {
+    // 输入超出模型上限是请求本身的问题，与账号无关
+    if (this._isInputSizeError(errorDetails)) {
+      this.logger.info(
+        `[Auth] 请求输入超出模型上限 (状态码 ${errorDetails.status})，不计入失败统计。`
+      );
+      return;
+    }
+
     // 失败计数逻辑
     if (this.config.failureThreshold > 0) {
       this.failureCount++;
@@ -1364,9 +2125,12 @@ class RequestHandler {
     }
     const requestId = this._generateRequestId();
     const isOpenAIStream = req.body.stream === true;
-    const model = req.body.model || "gemini-1.5-pro-latest";
+    const { model } = this._resolveModelAlias(
+      req.body.model || "gemini-1.5-pro-latest"
+    );
     const systemStreamMode = this.serverSystem.streamingMode;
     const useRealStream = isOpenAIStream && systemStreamMode === "real";
+    const includeUsage = req.body.stream_options?.include_usage === true;
 
     if (this.config.switchOnUses > 0) {
       this.usageCount++;
@@ -1379,34 +2143,45 @@ class RequestHandler {
     }
 
     let googleBody;
+    let reasoningMode;
+    let imageMode;
     try {
-      googleBody = this._translateOpenAIToGoogle(req.body, model);
+      reasoningMode = this._resolveReasoningOutputMode(req);
+      imageMode = this._resolveImageOutputMode(req);
+      await this._fetchRemoteImages(req.body);
+      googleBody = this._translateOpenAIToGoogle(req.body, model, req.apiKey);
     } catch (error) {
       this.logger.error(`[Adapter] OpenAI请求翻译失败: ${error.message}`);
-      return this._sendErrorResponse(
+      // 带 status 的错误是可以明确告知客户端原因的参数问题
+      return this._sendOpenAIError(
         res,
         400,
-        "Invalid OpenAI request format."
+        error.status === 400 ? error.message : "Invalid OpenAI request format."
       );
     }
+    const ignoredParams = this._warnUnsupportedOpenAIParams(req.body);
+    if (ignoredParams.length > 0) {
+      res.set("X-Ignored-Params", ignoredParams.join(", "));
+    }
 
-    const googleEndpoint = useRealStream
-      ? "streamGenerateContent"
-      : "generateContent";
-    const proxyRequest = {
-      path: `/v1beta/models/${model}:${googleEndpoint}`,
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      query_params: useRealStream ? { alt: "sse" } : {},
-      body: JSON.stringify(googleBody),
-      request_id: requestId,
-      is_generative: true,
-      streaming_mode: useRealStream ? "real" : "fake",
-    };
-
     const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
 
     try {
+      // 裁剪上下文等预处理会修改 googleBody，须在序列化之前完成
+      await this._prepareGoogleRequest(model, googleBody, res);
+      const googleEndpoint = useRealStream
+        ? "streamGenerateContent"
+        : "generateContent";
+      const proxyRequest = {
+        path: `/v1beta/models/${model}:${googleEndpoint}`,
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        query_params: useRealStream ? { alt: "sse" } : {},
+        body: JSON.stringify(googleBody),
+        request_id: requestId,
+        is_generative: true,
+        streaming_mode: useRealStream ? "real" : "fake",
+      };
       this._forwardRequest(proxyRequest);
       const initialMessage = await messageQueue.dequeue();
 
@@ -1414,19 +2189,13 @@ class RequestHandler {
         this.logger.error(
           `[Adapter] 收到来自浏览器的错误，将触发切换逻辑。状态码: ${initialMessage.status}, 消息: ${initialMessage.message}`
         );
-        await this._handleRequestFailureAndSwitch(initialMessage, res);
-        if (isOpenAIStream) {
-          if (!res.writableEnded) {
-            res.write("data: [DONE]\n\n");
-            res.end();
-          }
-        } else {
-          this._sendErrorResponse(
-            res,
-            initialMessage.status || 500,
-            initialMessage.message
-          );
-        }
+        // 不向响应写入切换提示，保证客户端收到真实的 HTTP 状态码 (SDK 依赖它决定是否重试)
+        await this._handleRequestFailureAndSwitch(initialMessage, null);
+        this._sendOpenAIError(
+          res,
+          initialMessage.status || 500,
+          initialMessage.message
+        );
         return;
       }
 
@@ -1447,26 +2216,30 @@ class RequestHandler {
         if (useRealStream) {
           this.logger.info(`[Adapter] OpenAI 流式响应 (Real Mode) 已启动...`);
           let lastGoogleChunk = "";
-          const streamState = { inThought: false };
+          const streamState = {
+            inThought: {},
+            includeUsage,
+            reasoningMode,
+            imageMode,
+          };
 
           while (true) {
             const message = await messageQueue.dequeue(300000); // 5分钟超时
+            if (message.event_type === "error") {
+              throw this._createUpstreamError(message);
+            }
             if (message.type === "STREAM_END") {
-              if (streamState.inThought) {
-                const closeThoughtPayload = {
-                  id: `chatcmpl-${requestId}`,
-                  object: "chat.completion.chunk",
-                  created: Math.floor(Date.now() / 1000),
-                  model: model,
-                  choices: [
-                    {
-                      index: 0,
-                      delta: { content: "\n</think>\n" },
-                      finish_reason: null,
-                    },
-                  ],
-                };
-                res.write(`data: ${JSON.stringify(closeThoughtPayload)}\n\n`);
+              res.write(
+                this._buildThinkCloseChunks(requestId, model, streamState)
+              );
+              if (includeUsage) {
+                res.write(
+                  this._buildOpenAIUsageChunk(
+                    requestId,
+                    model,
+                    streamState.usageMetadata
+                  )
+                );
               }
               res.write("data: [DONE]\n\n");
               break;
@@ -1490,17 +2263,37 @@ class RequestHandler {
           let fullBody = "";
           while (true) {
             const message = await messageQueue.dequeue(300000);
+            if (message.event_type === "error") {
+              throw this._createUpstreamError(message);
+            }
             if (message.type === "STREAM_END") break;
             if (message.data) fullBody += message.data;
           }
 
+          const streamState = {
+            inThought: {},
+            includeUsage,
+            reasoningMode,
+            imageMode,
+          };
           const translatedChunk = this._translateGoogleToOpenAIStream(
             fullBody,
-            model
+            model,
+            streamState
           );
           if (translatedChunk) {
             res.write(translatedChunk);
           }
+          res.write(this._buildThinkCloseChunks(requestId, model, streamState));
+          if (includeUsage) {
+            res.write(
+              this._buildOpenAIUsageChunk(
+                requestId,
+                model,
+                streamState.usageMetadata
+              )
+            );
+          }
           res.write("data: [DONE]\n\n");
           this.logger.info(
             `[Adapter] Fake模式：已一次性发送完整内容并结束流。`
@@ -1510,6 +2303,9 @@ class RequestHandler {
         let fullBody = "";
         while (true) {
           const message = await messageQueue.dequeue(300000);
+          if (message.event_type === "error") {
+            throw this._createUpstreamError(message);
+          }
           if (message.type === "STREAM_END") {
             break;
           }
@@ -1519,42 +2315,28 @@ class RequestHandler {
         }
 
         const googleResponse = JSON.parse(fullBody);
-        const candidate = googleResponse.candidates?.[0];
-
-        let responseContent = "";
+        const candidates = googleResponse.candidates || [];
         if (
-          candidate &&
-          candidate.content &&
-          Array.isArray(candidate.content.parts)
+          candidates.length === 0 &&
+          googleResponse.promptFeedback?.blockReason
         ) {
-          const imagePart = candidate.content.parts.find((p) => p.inlineData);
-          if (imagePart) {
-            const image = imagePart.inlineData;
-            responseContent = `![Generated Image](data:${image.mimeType};base64,${image.data})`;
-            this.logger.info(
-              "[Adapter] 从 parts.inlineData 中成功解析到图片。"
-            );
-          } else {
-            let mainContent = "";
-            let reasoningContent = "";
-
-            candidate.content.parts.forEach((p) => {
-              if (p.thought) {
-                reasoningContent += p.text;
-              } else {
-                mainContent += p.text;
-              }
-            });
-
-            responseContent = mainContent;
-            var messageObj = {
-              role: "assistant",
-              content: responseContent,
-            };
-            if (reasoningContent) {
-              messageObj.reasoning_content = reasoningContent;
-            }
-          }
+          throw this._createPromptBlockedError(googleResponse.promptFeedback);
+        }
+        // n > 1 时每个候选都作为独立的 choice 返回
+        const choices = candidates.map((candidate, i) =>
+          this._translateGoogleCandidateToOpenAIChoice(
+            candidate,
+            i,
+            reasoningMode,
+            imageMode
+          )
+        );
+        if (choices.length === 0) {
+          choices.push({
+            index: 0,
+            message: { role: "assistant", content: "" },
+            finish_reason: null,
+          });
         }
 
         const openaiResponse = {
@@ -1562,17 +2344,11 @@ class RequestHandler {
           object: "chat.completion",
           created: Math.floor(Date.now() / 1000),
           model: model,
-          choices: [
-            {
-              index: 0,
-              // 使用上面构建的 messageObj
-              message: messageObj || { role: "assistant", content: "" },
-              finish_reason: candidate?.finishReason,
-            },
-          ],
+          choices: choices,
+          usage: this._translateUsageToOpenAI(googleResponse.usageMetadata),
         };
 
-        const finishReason = candidate?.finishReason || "UNKNOWN";
+        const finishReason = candidates[0]?.finishReason || "UNKNOWN";
         this.logger.info(
           `✅ [Request] OpenAI非流式响应结束，原因: ${finishReason}，请求ID: ${requestId}`
         );
@@ -1580,7 +2356,7 @@ class RequestHandler {
         res.status(200).json(openaiResponse);
       }
     } catch (error) {
-      this._handleRequestError(error, res);
+      this._handleOpenAIRequestError(error, res);
     } finally {
       this.connectionRegistry.removeMessageQueue(requestId);
       if (this.needsSwitchingAfterRequest) {
@@ -1598,720 +2374,4914 @@ class RequestHandler {
     }
   }
 
-  // --- 新增一个辅助方法，用于发送取消指令 ---
-  _cancelBrowserRequest(requestId) {
-    const connection = this.connectionRegistry.getFirstConnection();
-    if (connection) {
+  async processEmbeddingsRequest(req, res) {
+    if (this.browserManager) {
+      this.browserManager.notifyUserActivity();
+    }
+    const body = req.body || {};
+    const inputs = typeof body.input === "string" ? [body.input] : body.input;
+    if (
+      !Array.isArray(inputs) ||
+      inputs.length === 0 ||
+      !inputs.every((item) => typeof item === "string")
+    ) {
+      return this._sendOpenAIError(
+        res,
+        400,
+        "'input' must be a non-empty string or an array of strings."
+      );
+    }
+
+    // OpenAI 的模型名 (text-embedding-3-small 等) 无法直接用于 Google，回落到默认嵌入模型
+    const requestedModel = body.model || "";
+    const model = /^(gemini-embedding|text-embedding-0|embedding-)/.test(
+      requestedModel
+    )
+      ? requestedModel
+      : this.config.embeddingModel;
+    if (model !== requestedModel) {
       this.logger.info(
-        `[Request] 正在向浏览器发送取消请求 #${requestId} 的指令...`
+        `[Adapter] 嵌入模型 "${requestedModel}" 不是Google模型，已改用默认模型 ${model}。`
       );
-      connection.send(
-        JSON.stringify({
-          event_type: "cancel_request",
-          request_id: requestId,
-        })
+    }
+
+    try {
+      const vectors = [];
+      // batchEmbedContents 单次最多 100 条
+      for (let start = 0; start < inputs.length; start += 100) {
+        const batch = inputs.slice(start, start + 100);
+        const googleResponse = await this._fetchThroughBrowser(
+          `/v1beta/models/${model}:batchEmbedContents`,
+          {
+            requests: batch.map((text) => ({
+              model: `models/${model}`,
+              content: { parts: [{ text }] },
+              ...(body.dimensions && {
+                outputDimensionality: body.dimensions,
+              }),
+            })),
+          }
+        );
+        (googleResponse.embeddings || []).forEach((embedding) =>
+          vectors.push(embedding.values || [])
+        );
+      }
+
+      if (this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 嵌入请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+
+      const data = vectors.map((values, index) => {
+        // 截断维度后的向量不再是单位向量，与 OpenAI 保持一致做归一化
+        if (body.dimensions) {
+          const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+          if (norm > 0) values = values.map((v) => v / norm);
+        }
+        return {
+          object: "embedding",
+          index,
+          embedding:
+            body.encoding_format === "base64"
+              ? Buffer.from(new Float32Array(values).buffer).toString("base64")
+              : values,
+        };
+      });
+
+      // Google 的嵌入接口不返回 token 用量，这里给出估算值
+      const promptTokens = inputs.reduce(
+        (sum, text) => sum + this._estimateTokens(text),
+        0
       );
-    } else {
-      this.logger.warn(
-        `[Request] 无法发送取消指令：没有可用的浏览器WebSocket连接。`
+      this.logger.info(
+        `✅ [Adapter] 嵌入请求完成，共 ${data.length} 条向量 (模型: ${model})。`
       );
+      res.status(200).json({
+        object: "list",
+        data,
+        model,
+        usage: { prompt_tokens: promptTokens, total_tokens: promptTokens },
+      });
+    } catch (error) {
+      if (error.status) {
+        this.logger.error(`[Adapter] 嵌入请求失败: ${error.message}`);
+        await this._handleRequestFailureAndSwitch(error, null);
+        return this._sendOpenAIError(res, error.status, error.message);
+      }
+      this._handleOpenAIRequestError(error, res);
     }
   }
 
-  _generateRequestId() {
-    return `${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
-  }
-  _buildProxyRequest(req, requestId) {
-    let bodyObj = req.body;
-    if (
-      this.serverSystem.forceThinking &&
-      req.method === "POST" &&
-      bodyObj &&
-      bodyObj.contents
-    ) {
-      if (!bodyObj.generationConfig) {
-        bodyObj.generationConfig = {};
+  async processImageRequest(req, res, mode = "generations") {
+    if (this.browserManager) {
+      this.browserManager.notifyUserActivity();
+    }
+    const body = req.body || {};
+    const prompt = typeof body.prompt === "string" ? body.prompt.trim() : "";
+    if (!prompt) {
+      return this._sendOpenAIError(res, 400, "'prompt' is required.");
+    }
+    // multipart 表单中的字段都是字符串 (重复字段会变成数组)，因此先校验类型
+    if (body.model !== undefined && typeof body.model !== "string") {
+      return this._sendOpenAIError(res, 400, "'model' must be a string.");
+    }
+    const count =
+      body.n === undefined || body.n === null || body.n === ""
+        ? 1
+        : Number(body.n);
+    if (!Number.isInteger(count) || count < 1 || count > 10) {
+      return this._sendOpenAIError(
+        res,
+        400,
+        "'n' must be an integer between 1 and 10."
+      );
+    }
+    const responseFormat = body.response_format || "b64_json";
+    if (!["b64_json", "url"].includes(responseFormat)) {
+      return this._sendOpenAIError(
+        res,
+        400,
+        "'response_format' must be 'b64_json' or 'url'."
+      );
+    }
+
+    // dall-e-3 / gpt-image-1 等 OpenAI 模型名回落到默认的 Gemini 图片模型
+    const requestedModel = body.model || "";
+    const model =
+      requestedModel.startsWith("gemini-") && requestedModel.includes("image")
+        ? requestedModel
+        : this.config.imageModel;
+
+    const parts = [{ text: prompt }];
+    if (mode === "edits") {
+      const files = req.files || [];
+      const images = files.filter((f) => f.fieldname.startsWith("image"));
+      if (images.length === 0) {
+        return this._sendOpenAIError(
+          res,
+          400,
+          "At least one 'image' file is required for edits."
+        );
+      }
+      images.forEach((file) =>
+        parts.push({
+          inlineData: {
+            mimeType: file.mimetype || "image/png",
+            data: file.buffer.toString("base64"),
+          },
+        })
+      );
+      // Gemini 没有蒙版参数，以附加图片 + 文字说明的方式传递
+      const mask = files.find((f) => f.fieldname === "mask");
+      if (mask) {
+        parts.push({
+          text: "The following image is a mask: only edit the fully transparent areas of the image above.",
+        });
+        parts.push({
+          inlineData: {
+            mimeType: mask.mimetype || "image/png",
+            data: mask.buffer.toString("base64"),
+          },
+        });
       }
+    }
 
-      if (!bodyObj.generationConfig.thinkingConfig) {
-        this.logger.info(
-          `[Proxy] ⚠️ (Google原生格式) 强制推理已启用，且客户端未提供配置，正在注入 thinkingConfig...`
+    const googleBody = {
+      contents: [{ role: "user", parts }],
+      generationConfig: { responseModalities: ["TEXT", "IMAGE"] },
+    };
+    const aspectRatio = this._translateImageSizeToAspectRatio(body.size);
+    if (aspectRatio) {
+      googleBody.generationConfig.imageConfig = { aspectRatio };
+    }
+
+    this._countGenerativeUsage("图片");
+    try {
+      const images = [];
+      let revisedPrompt = null;
+      // 图片模型不支持 candidateCount，按需多次请求直到凑够 n 张
+      for (
+        let attempt = 0;
+        attempt < count && images.length < count;
+        attempt++
+      ) {
+        const googleResponse = await this._fetchThroughBrowser(
+          `/v1beta/models/${model}:generateContent`,
+          googleBody
         );
-        bodyObj.generationConfig.thinkingConfig = { includeThoughts: true };
-      } else {
+        for (const candidate of googleResponse.candidates || []) {
+          for (const part of candidate.content?.parts || []) {
+            if (part.inlineData) {
+              images.push(part.inlineData);
+            } else if (part.text && !part.thought && !revisedPrompt) {
+              revisedPrompt = part.text.trim();
+            }
+          }
+        }
+      }
+
+      if (this.failureCount > 0) {
         this.logger.info(
-          `[Proxy] ✅ (Google原生格式) 检测到客户端自带推理配置，跳过强制注入。`
+          `✅ [Auth] 图片请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+      if (images.length === 0) {
+        return this._sendOpenAIError(
+          res,
+          502,
+          "The model did not return any image."
         );
       }
-    }
 
-    let requestBody = "";
-    if (bodyObj) {
-      requestBody = JSON.stringify(bodyObj);
+      const data = images.slice(0, count).map((image) => {
+        const item =
+          responseFormat === "url"
+            ? { url: this._inlineDataToUrl(image, true) }
+            : { b64_json: image.data };
+        if (revisedPrompt) item.revised_prompt = revisedPrompt;
+        return item;
+      });
+      this.logger.info(
+        `✅ [Adapter] 图片${mode === "edits" ? "编辑" : "生成"}完成，共返回 ${
+          data.length
+        } 张 (模型: ${model})。`
+      );
+      res.status(200).json({ created: Math.floor(Date.now() / 1000), data });
+    } catch (error) {
+      if (error.status) {
+        this.logger.error(`[Adapter] 图片请求失败: ${error.message}`);
+        await this._handleRequestFailureAndSwitch(error, null);
+        return this._sendOpenAIError(res, error.status, error.message);
+      }
+      this._handleOpenAIRequestError(error, res);
+    } finally {
+      this._switchAccountIfNeeded("图片");
     }
+  }
 
-    return {
-      path: req.path,
-      method: req.method,
-      headers: req.headers,
-      query_params: req.query,
-      body: requestBody,
-      request_id: requestId,
-      streaming_mode: this.serverSystem.streamingMode,
+  _translateImageSizeToAspectRatio(size) {
+    const match = /^(\d+)x(\d+)$/.exec(size || "");
+    if (!match) return null;
+    const ratio = parseInt(match[1], 10) / parseInt(match[2], 10);
+    const supportedRatios = {
+      "1:1": 1,
+      "3:2": 3 / 2,
+      "2:3": 2 / 3,
+      "4:3": 4 / 3,
+      "3:4": 3 / 4,
+      "16:9": 16 / 9,
+      "9:16": 9 / 16,
+      "21:9": 21 / 9,
     };
+    // 取最接近的比例
+    return Object.entries(supportedRatios).reduce((best, entry) =>
+      Math.abs(entry[1] - ratio) < Math.abs(best[1] - ratio) ? entry : best
+    )[0];
   }
-  _forwardRequest(proxyRequest) {
-    const connection = this.connectionRegistry.getFirstConnection();
-    if (connection) {
-      connection.send(JSON.stringify(proxyRequest));
-    } else {
-      throw new Error("无法转发请求：没有可用的WebSocket连接。");
+
+  async processSpeechRequest(req, res) {
+    if (this.browserManager) {
+      this.browserManager.notifyUserActivity();
     }
-  }
-  _sendErrorChunkToClient(res, errorMessage) {
-    const errorPayload = {
-      error: {
-        message: `[代理系统提示] ${errorMessage}`,
-        type: "proxy_error",
-        code: "proxy_error",
+    const body = req.body || {};
+    const input = typeof body.input === "string" ? body.input.trim() : "";
+    if (!input) {
+      return this._sendOpenAIError(res, 400, "'input' is required.");
+    }
+    for (const field of ["model", "voice", "instructions", "response_format"]) {
+      if (body[field] !== undefined && typeof body[field] !== "string") {
+        return this._sendOpenAIError(res, 400, `'${field}' must be a string.`);
+      }
+    }
+    // Gemini 只返回 PCM，wav 由服务端封装；mp3 等压缩格式需要额外编码器，暂不支持
+    const responseFormat = body.response_format || "wav";
+    if (!["wav", "pcm"].includes(responseFormat)) {
+      return this._sendOpenAIError(
+        res,
+        400,
+        `Unsupported response_format '${responseFormat}'. Supported formats: wav, pcm.`
+      );
+    }
+
+    // tts-1 / gpt-4o-mini-tts 等 OpenAI 模型名回落到默认的 Gemini 语音模型
+    const requestedModel = body.model || "";
+    const model =
+      requestedModel.startsWith("gemini-") && requestedModel.includes("tts")
+        ? requestedModel
+        : this.config.ttsModel;
+    // OpenAI 音色名按映射表转换，未映射的名字 (如 Gemini 音色名) 原样传递
+    const voice = body.voice || "alloy";
+    const voiceName = this.config.ttsVoiceMap?.[voice.toLowerCase()] || voice;
+
+    // Gemini 没有语速和风格参数，以自然语言指令的形式放在文本前
+    const directions = [];
+    if (body.instructions) {
+      directions.push(body.instructions.trim().replace(/[.:;,]+$/, ""));
+    }
+    const speed = parseFloat(body.speed);
+    if (speed && speed !== 1) directions.push(`speak at ${speed}x speed`);
+    const text =
+      directions.length > 0 ? `${directions.join(", ")}: ${input}` : input;
+
+    const googleBody = {
+      contents: [{ role: "user", parts: [{ text }] }],
+      generationConfig: {
+        responseModalities: ["AUDIO"],
+        speechConfig: {
+          voiceConfig: { prebuiltVoiceConfig: { voiceName } },
+        },
       },
     };
-    const chunk = `data: ${JSON.stringify(errorPayload)}\n\n`;
-    if (res && !res.writableEnded) {
-      res.write(chunk);
-      this.logger.info(`[Request] 已向客户端发送标准错误信号: ${errorMessage}`);
+
+    this._countGenerativeUsage("语音");
+    try {
+      const googleResponse = await this._fetchThroughBrowser(
+        `/v1beta/models/${model}:generateContent`,
+        googleBody
+      );
+      if (this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 语音请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+
+      const audioParts = (googleResponse.candidates?.[0]?.content?.parts || [])
+        .filter((part) => part.inlineData)
+        .map((part) => part.inlineData);
+      if (audioParts.length === 0) {
+        return this._sendOpenAIError(
+          res,
+          502,
+          "The model did not return any audio."
+        );
+      }
+      const pcm = Buffer.concat(
+        audioParts.map((inlineData) => Buffer.from(inlineData.data, "base64"))
+      );
+      // mimeType 形如 audio/L16;codec=pcm;rate=24000
+      const sampleRate =
+        parseInt(/rate=(\d+)/.exec(audioParts[0].mimeType || "")?.[1], 10) ||
+        24000;
+
+      this.logger.info(
+        `✅ [Adapter] 语音合成完成 (模型: ${model}, 音色: ${voiceName}, ${pcm.length} 字节)。`
+      );
+      if (responseFormat === "pcm") {
+        return res.status(200).type("audio/pcm").send(pcm);
+      }
+      res
+        .status(200)
+        .type("audio/wav")
+        .send(this._buildWavFile(pcm, sampleRate));
+    } catch (error) {
+      if (error.status) {
+        this.logger.error(`[Adapter] 语音请求失败: ${error.message}`);
+        await this._handleRequestFailureAndSwitch(error, null);
+        return this._sendOpenAIError(res, error.status, error.message);
+      }
+      this._handleOpenAIRequestError(error, res);
+    } finally {
+      this._switchAccountIfNeeded("语音");
     }
   }
 
-  async _handlePseudoStreamResponse(proxyRequest, messageQueue, req, res) {
-    this.logger.info(
-      "[Request] 客户端启用流式传输 (fake)，进入伪流式处理模式..."
-    );
-    res.status(200).set({
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-    });
-    const connectionMaintainer = setInterval(() => {
-      if (!res.writableEnded) res.write(": keep-alive\n\n");
-    }, 3000);
+  // 为 16 位单声道 PCM 加上 WAV 文件头
+  _buildWavFile(pcm, sampleRate) {
+    const header = Buffer.alloc(44);
+    header.write("RIFF", 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write("WAVE", 8);
+    header.write("fmt ", 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // 单声道
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write("data", 36);
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+  }
 
-    try {
-      let lastMessage,
-        requestFailed = false;
+  async processTranscriptionRequest(req, res) {
+    if (this.browserManager) {
+      this.browserManager.notifyUserActivity();
+    }
+    const body = req.body || {};
+    const file = req.file;
+    if (!file) {
+      return this._sendOpenAIError(res, 400, "'file' is required.");
+    }
+    // multipart 字段应为字符串；model[]=x 之类的写法会被解析为数组或对象
+    for (const field of ["model", "response_format", "language", "prompt"]) {
+      if (body[field] !== undefined && typeof body[field] !== "string") {
+        return this._sendOpenAIError(res, 400, `'${field}' must be a string.`);
+      }
+    }
+    const responseFormat = body.response_format || "json";
+    if (
+      !["json", "text", "srt", "vtt", "verbose_json"].includes(responseFormat)
+    ) {
+      return this._sendOpenAIError(
+        res,
+        400,
+        `Unsupported response_format '${responseFormat}'. Supported formats: json, text, srt, vtt, verbose_json.`
+      );
+    }
 
-      // 我们的重试循环（即使只跑一次）
-      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-        if (attempt > 1) {
-          this.logger.info(
-            `[Request] 请求尝试 #${attempt}/${this.maxRetries}...`
-          );
-        }
-        this._forwardRequest(proxyRequest);
-        try {
-          const timeoutPromise = new Promise((_, reject) =>
-            setTimeout(
-              () =>
-                reject(
-                  new Error("Response from browser timed out after 300 seconds")
-                ),
-              300000
-            )
-          );
-          lastMessage = await Promise.race([
-            messageQueue.dequeue(),
-            timeoutPromise,
-          ]);
-        } catch (timeoutError) {
-          this.logger.error(`[Request] 致命错误: ${timeoutError.message}`);
-          lastMessage = {
-            event_type: "error",
-            status: 504,
-            message: timeoutError.message,
-          };
-        }
+    // 上传时声明的类型常为 application/octet-stream，依次尝试文件头和扩展名
+    const extensionTypes = {
+      mp3: "audio/mp3",
+      mpga: "audio/mp3",
+      mpeg: "audio/mp3",
+      wav: "audio/wav",
+      flac: "audio/flac",
+      ogg: "audio/ogg",
+      oga: "audio/ogg",
+      m4a: "audio/aac",
+      aac: "audio/aac",
+      mp4: "video/mp4",
+      webm: "video/webm",
+    };
+    const mimeType = /^(audio|video)\//.test(file.mimetype)
+      ? file.mimetype
+      : this._sniffMimeType(file.buffer) ||
+        extensionTypes[
+          path
+            .extname(file.originalname || "")
+            .slice(1)
+            .toLowerCase()
+        ];
+    if (!/^(audio|video)\//.test(mimeType || "")) {
+      return this._sendOpenAIError(
+        res,
+        400,
+        `Unsupported audio file '${file.originalname || "unnamed"}'.`
+      );
+    }
 
-        if (lastMessage.event_type === "error") {
-          // --- 核心修改：在这里就区分，避免打印不必要的“失败”日志 ---
-          if (
-            !(
-              lastMessage.message &&
-              lastMessage.message.includes("The user aborted a request")
-            )
-          ) {
-            // 只有在不是“用户取消”的情况下，才打印“尝试失败”的警告
-            this.logger.warn(
-              `[Request] 尝试 #${attempt} 失败: 收到 ${
-                lastMessage.status || "未知"
-              } 错误。 - ${lastMessage.message}`
-            );
-          }
+    // whisper-1 等 OpenAI 模型名回落到默认的转写模型
+    const requestedModel = body.model || "";
+    const model = requestedModel.startsWith("gemini-")
+      ? requestedModel
+      : this.config.transcriptionModel;
+    // 字幕和 verbose_json 需要时间轴，要求模型按 JSON 分段输出
+    const needsSegments = ["srt", "vtt", "verbose_json"].includes(
+      responseFormat
+    );
+    const instructions = [
+      "Transcribe the speech in this audio verbatim. Do not translate, summarize or add commentary.",
+    ];
+    if (body.language) {
+      instructions.push(
+        `The spoken language is '${body.language}' (ISO-639-1); write the transcript in that language.`
+      );
+    }
+    if (body.prompt) {
+      instructions.push(
+        `Use this text as context for spelling and style: ${body.prompt}`
+      );
+    }
+    instructions.push(
+      needsSegments
+        ? "Split the transcript into short segments with start and end times in seconds."
+        : "Output only the transcript text."
+    );
 
-          if (attempt < this.maxRetries) {
-            await new Promise((resolve) =>
-              setTimeout(resolve, this.retryDelay)
-            );
-            continue;
-          }
-          requestFailed = true;
-        }
-        break;
+    const generationConfig = {};
+    const temperature = parseFloat(body.temperature);
+    if (!Number.isNaN(temperature)) generationConfig.temperature = temperature;
+    if (needsSegments) {
+      generationConfig.responseMimeType = "application/json";
+      generationConfig.responseSchema = {
+        type: "OBJECT",
+        properties: {
+          segments: {
+            type: "ARRAY",
+            items: {
+              type: "OBJECT",
+              properties: {
+                start: { type: "NUMBER" },
+                end: { type: "NUMBER" },
+                text: { type: "STRING" },
+              },
+              required: ["start", "end", "text"],
+            },
+          },
+        },
+        required: ["segments"],
+      };
+    }
+    const googleBody = {
+      contents: [
+        {
+          role: "user",
+          parts: [
+            { inlineData: { mimeType, data: file.buffer.toString("base64") } },
+            { text: instructions.join("\n") },
+          ],
+        },
+      ],
+      generationConfig,
+    };
+
+    this._countGenerativeUsage("转写");
+    try {
+      const googleResponse = await this._fetchThroughBrowser(
+        `/v1beta/models/${model}:generateContent`,
+        googleBody
+      );
+      if (this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 转写请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
       }
 
-      // 处理最终结果
-      if (requestFailed) {
-        if (
-          lastMessage.message &&
-          lastMessage.message.includes("The user aborted a request")
-        ) {
-          this.logger.info(
-            `[Request] 请求 #${proxyRequest.request_id} 已由用户妥善取消，不计入失败统计。`
-          );
-        } else {
-          this.logger.error(
-            `[Request] 所有 ${this.maxRetries} 次重试均失败，将计入失败统计。`
-          );
-          await this._handleRequestFailureAndSwitch(lastMessage, res);
-          this._sendErrorChunkToClient(
+      const output = (googleResponse.candidates?.[0]?.content?.parts || [])
+        .filter((part) => part.text && !part.thought)
+        .map((part) => part.text)
+        .join("")
+        .trim();
+      let segments = [];
+      if (needsSegments) {
+        try {
+          segments = (JSON.parse(output).segments || []).map((segment, id) => ({
+            id,
+            start: Number(segment.start) || 0,
+            end: Number(segment.end) || 0,
+            text: String(segment.text || "").trim(),
+          }));
+        } catch (error) {
+          return this._sendOpenAIError(
             res,
-            `请求最终失败: ${lastMessage.message}`
+            502,
+            "The model returned an invalid transcript."
           );
         }
-        return;
       }
+      const text = needsSegments
+        ? segments.map((segment) => segment.text).join(" ")
+        : output;
+      this.logger.info(
+        `✅ [Adapter] 音频转写完成 (模型: ${model}, 格式: ${responseFormat}, ${text.length} 字)。`
+      );
 
-      // 成功的逻辑
-      if (proxyRequest.is_generative && this.failureCount > 0) {
-        this.logger.info(
-          `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
-        );
-        this.failureCount = 0;
-      }
-      const dataMessage = await messageQueue.dequeue();
-      const endMessage = await messageQueue.dequeue();
-      if (dataMessage.data) {
-        res.write(`data: ${dataMessage.data}\n\n`);
-      }
-      if (endMessage.type !== "STREAM_END") {
-        this.logger.warn("[Request] 未收到预期的流结束信号。");
+      switch (responseFormat) {
+        case "text":
+          return res.status(200).type("text/plain").send(text);
+        case "srt":
+          return res
+            .status(200)
+            .type("text/plain")
+            .send(this._formatSubtitles(segments, "srt"));
+        case "vtt":
+          return res
+            .status(200)
+            .type("text/vtt")
+            .send(this._formatSubtitles(segments, "vtt"));
+        case "verbose_json":
+          return res.status(200).json({
+            task: "transcribe",
+            language: body.language || null,
+            duration: segments.length ? segments[segments.length - 1].end : 0,
+            text,
+            segments,
+          });
+        default:
+          return res.status(200).json({ text });
       }
-      try {
-        const fullResponse = JSON.parse(dataMessage.data);
-        const finishReason =
-          fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
-        this.logger.info(
-          `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
-        );
-      } catch (e) {}
-      res.write("data: [DONE]\n\n");
     } catch (error) {
-      this._handleRequestError(error, res);
+      if (error.status) {
+        this.logger.error(`[Adapter] 转写请求失败: ${error.message}`);
+        await this._handleRequestFailureAndSwitch(error, null);
+        return this._sendOpenAIError(res, error.status, error.message);
+      }
+      this._handleOpenAIRequestError(error, res);
     } finally {
-      clearInterval(connectionMaintainer);
-      if (!res.writableEnded) {
-        res.end();
+      this._switchAccountIfNeeded("转写");
+    }
+  }
+
+  // srt: "1\n00:00:01,000 --> 00:00:02,500\n文本"；vtt: 以 WEBVTT 开头、毫秒用 "." 分隔
+  _formatSubtitles(segments, format) {
+    const timestamp = (seconds) => {
+      const ms = Math.round(seconds * 1000);
+      const pad = (value, length = 2) => String(value).padStart(length, "0");
+      return `${pad(Math.floor(ms / 3600000))}:${pad(
+        Math.floor(ms / 60000) % 60
+      )}:${pad(Math.floor(ms / 1000) % 60)}${format === "srt" ? "," : "."}${pad(
+        ms % 1000,
+        3
+      )}`;
+    };
+    const cues = segments.map((segment, index) => {
+      const timing = `${timestamp(segment.start)} --> ${timestamp(
+        segment.end
+      )}`;
+      return format === "srt"
+        ? `${index + 1}\n${timing}\n${segment.text}`
+        : `${timing}\n${segment.text}`;
+    });
+    return format === "srt"
+      ? `${cues.join("\n\n")}\n`
+      : `WEBVTT\n\n${cues.join("\n\n")}\n`;
+  }
+
+  _countGenerativeUsage(label) {
+    if (this.config.switchOnUses > 0) {
+      this.usageCount++;
+      this.logger.info(
+        `[Request] ${label}生成请求 - 账号轮换计数: ${this.usageCount}/${this.config.switchOnUses} (当前账号: ${this.currentAuthIndex})`
+      );
+      if (this.usageCount >= this.config.switchOnUses) {
+        this.needsSwitchingAfterRequest = true;
       }
+    }
+  }
+
+  _switchAccountIfNeeded(label) {
+    if (this.needsSwitchingAfterRequest) {
       this.logger.info(
-        `[Request] 响应处理结束，请求ID: ${proxyRequest.request_id}`
+        `[Auth] ${label}轮换计数已达到切换阈值 (${this.usageCount}/${this.config.switchOnUses})，将在后台自动切换账号...`
       );
+      this._switchToNextAuth().catch((err) => {
+        this.logger.error(`[Auth] 后台账号切换任务失败: ${err.message}`);
+      });
+      this.needsSwitchingAfterRequest = false;
     }
   }
 
-  async _handleRealStreamResponse(proxyRequest, messageQueue, res) {
-    this.logger.info(`[Request] 请求已派发给浏览器端处理...`);
-    this._forwardRequest(proxyRequest);
-    const headerMessage = await messageQueue.dequeue();
+  async processAnthropicRequest(req, res) {
+    if (this.browserManager) {
+      this.browserManager.notifyUserActivity();
+    }
+    const body = req.body || {};
+    if (typeof body.model !== "string" || !body.model.trim()) {
+      return this._sendAnthropicError(res, 400, "model: Field required");
+    }
+    const { model } = this._resolveModelAlias(body.model);
+    const isStream = body.stream === true;
 
-    if (headerMessage.event_type === "error") {
-      if (
-        headerMessage.message &&
-        headerMessage.message.includes("The user aborted a request")
-      ) {
+    let googleBody;
+    try {
+      googleBody = this._translateAnthropicToGoogle(body, model, req.apiKey);
+    } catch (error) {
+      this.logger.error(`[Adapter] Anthropic请求翻译失败: ${error.message}`);
+      return this._sendAnthropicError(
+        res,
+        400,
+        error.status === 400
+          ? error.message
+          : "Invalid Anthropic request format."
+      );
+    }
+
+    this._countGenerativeUsage("Anthropic");
+    const messageId = `msg_${this._generateRequestId()}`;
+    const streamState = {
+      messageId,
+      model,
+      started: false,
+      blockIndex: -1,
+      blockType: null,
+      hasToolUse: false,
+      finishReason: null,
+      usageMetadata: null,
+    };
+    let lastResponse = null;
+
+    try {
+      await this._runGoogleGeneration(model, googleBody, {
+        stream: isStream,
+        res,
+        onResponse: (googleResponse) => {
+          if (!isStream) {
+            lastResponse = googleResponse;
+            return;
+          }
+          if (!res.headersSent) {
+            res.status(200).set({
+              "Content-Type": "text/event-stream",
+              "Cache-Control": "no-cache",
+              Connection: "keep-alive",
+            });
+          }
+          this._translateGoogleToAnthropicEvents(
+            googleResponse,
+            streamState
+          ).forEach((event) => res.write(event));
+        },
+      });
+
+      if (isStream) {
+        if (!res.headersSent) {
+          res.status(200).set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+          });
+        }
+        this._finishAnthropicStream(streamState).forEach((event) =>
+          res.write(event)
+        );
         this.logger.info(
-          `[Request] 请求 #${proxyRequest.request_id} 已被用户妥善取消，不计入失败统计。`
+          `✅ [Request] Anthropic流式响应结束，原因: ${
+            streamState.finishReason || "UNKNOWN"
+          }，消息ID: ${messageId}`
         );
       } else {
-        this.logger.error(`[Request] 请求失败，将计入失败统计。`);
-        await this._handleRequestFailureAndSwitch(headerMessage, null);
-        return this._sendErrorResponse(
-          res,
-          headerMessage.status,
-          headerMessage.message
+        const anthropicMessage = this._translateGoogleToAnthropicMessage(
+          lastResponse || {},
+          messageId,
+          model
+        );
+        this.logger.info(
+          `✅ [Request] Anthropic非流式响应结束，原因: ${anthropicMessage.stop_reason}，消息ID: ${messageId}`
         );
+        res.status(200).json(anthropicMessage);
+      }
+    } catch (error) {
+      this.logger.error(`[Adapter] Anthropic请求处理失败: ${error.message}`);
+      const googleError = this._parseGoogleError(
+        error.status || 500,
+        error.message
+      );
+      this._sendAnthropicError(res, googleError.status, googleError.message);
+    } finally {
+      this._switchAccountIfNeeded("Anthropic");
+      if (!res.writableEnded) {
+        res.end();
       }
-      if (!res.writableEnded) res.end();
-      return;
     }
+  }
 
-    // --- 核心修改：只有在生成请求成功时，才重置失败计数 ---
-    if (proxyRequest.is_generative && this.failureCount > 0) {
-      this.logger.info(
-        `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+  async processResponsesRequest(req, res) {
+    if (this.browserManager) {
+      this.browserManager.notifyUserActivity();
+    }
+    const body = req.body || {};
+    if (typeof body.model !== "string" || !body.model.trim()) {
+      return this._sendOpenAIError(
+        res,
+        400,
+        "Missing required parameter: 'model'."
       );
-      this.failureCount = 0;
     }
-    // --- 修改结束 ---
+    const { model } = this._resolveModelAlias(body.model);
+    const isStream = body.stream === true;
+
+    // 1. 通过 previous_response_id 续接历史 (instructions 不会继承)
+    let historyItems = [];
+    if (body.previous_response_id) {
+      const stored = this._getStoredResponse(
+        body.previous_response_id,
+        req.apiKey
+      );
+      if (!stored) {
+        return this._sendOpenAIError(
+          res,
+          404,
+          `Previous response with id '${body.previous_response_id}' not found.`
+        );
+      }
+      historyItems = stored.items;
+    }
+    const inputItems =
+      typeof body.input === "string"
+        ? [{ type: "message", role: "user", content: body.input }]
+        : body.input || [];
 
-    this._setResponseHeaders(res, headerMessage);
-    this.logger.info("[Request] 开始流式传输...");
+    let googleBody;
     try {
-      let lastChunk = "";
-      while (true) {
-        const dataMessage = await messageQueue.dequeue(30000);
-        if (dataMessage.type === "STREAM_END") {
-          this.logger.info("[Request] 收到流结束信号。");
-          break;
-        }
-        if (dataMessage.data) {
-          res.write(dataMessage.data);
-          lastChunk = dataMessage.data;
-        }
-      }
-      try {
-        if (lastChunk.startsWith("data: ")) {
-          const jsonString = lastChunk.substring(6).trim();
-          if (jsonString) {
-            const lastResponse = JSON.parse(jsonString);
-            const finishReason =
-              lastResponse.candidates?.[0]?.finishReason || "UNKNOWN";
-            this.logger.info(
-              `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
-            );
-          }
-        }
-      } catch (e) {}
+      const openaiBody = this._translateResponsesToOpenAI(body, [
+        ...historyItems,
+        ...inputItems,
+      ]);
+      await this._fetchRemoteImages(openaiBody);
+      googleBody = this._translateOpenAIToGoogle(openaiBody, model, req.apiKey);
     } catch (error) {
-      if (error.message !== "Queue timeout") throw error;
-      this.logger.warn("[Request] 真流式响应超时，可能流已正常结束。");
-    } finally {
-      if (!res.writableEnded) res.end();
-      this.logger.info(
-        `[Request] 真流式响应连接已关闭，请求ID: ${proxyRequest.request_id}`
+      this.logger.error(`[Adapter] Responses请求翻译失败: ${error.message}`);
+      return this._sendOpenAIError(
+        res,
+        400,
+        error.status === 400
+          ? error.message
+          : "Invalid Responses request format."
       );
     }
-  }
 
-  async _handleNonStreamResponse(proxyRequest, messageQueue, res) {
-    this.logger.info(`[Request] 进入非流式处理模式...`);
+    this._countGenerativeUsage("Responses");
+    const state = {
+      response: {
+        id: `resp_${this._generateRequestId()}`,
+        object: "response",
+        created_at: Math.floor(Date.now() / 1000),
+        status: "in_progress",
+        model,
+        output: [],
+        instructions: body.instructions || null,
+        previous_response_id: body.previous_response_id || null,
+        tools: body.tools || [],
+        tool_choice: body.tool_choice || "auto",
+        reasoning: body.reasoning || null,
+        max_output_tokens: body.max_output_tokens || null,
+        temperature: body.temperature ?? null,
+        top_p: body.top_p ?? null,
+        metadata: body.metadata || {},
+        incomplete_details: null,
+        error: null,
+        usage: null,
+      },
+      currentItem: null,
+      sequenceNumber: 0,
+      finishReason: null,
+      usageMetadata: null,
+    };
 
-    // 转发请求到浏览器端
-    this._forwardRequest(proxyRequest);
+    const writeEvents = (events) => {
+      if (!isStream) return;
+      if (!res.headersSent) {
+        res.status(200).set({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        });
+      }
+      events.forEach((event) => res.write(event));
+    };
 
     try {
-      // 1. 等待响应头信息
-      const headerMessage = await messageQueue.dequeue();
-      if (headerMessage.event_type === "error") {
-        // ... (错误处理逻辑保持不变)
-        if (headerMessage.message?.includes("The user aborted a request")) {
+      writeEvents([
+        this._formatResponsesEvent(state, "response.created", {
+          response: state.response,
+        }),
+        this._formatResponsesEvent(state, "response.in_progress", {
+          response: state.response,
+        }),
+      ]);
+      await this._runGoogleGeneration(model, googleBody, {
+        stream: isStream,
+        res,
+        onResponse: (googleResponse) =>
+          writeEvents(
+            this._translateGoogleToResponsesEvents(googleResponse, state)
+          ),
+      });
+      writeEvents(this._finishResponsesOutput(state));
+
+      if (body.store !== false) {
+        this._storeResponse(
+          state.response,
+          [...historyItems, ...inputItems, ...state.response.output],
+          req.apiKey
+        );
+      }
+      this.logger.info(
+        `✅ [Request] Responses请求完成，状态: ${state.response.status}，响应ID: ${state.response.id}`
+      );
+      if (!isStream) {
+        res.status(200).json(state.response);
+      }
+    } catch (error) {
+      this.logger.error(`[Adapter] Responses请求处理失败: ${error.message}`);
+      if (res.headersSent) {
+        // 流已开始，按 Responses 协议发送 response.failed 事件
+        const openaiError = this._translateErrorToOpenAI(
+          error.status || 500,
+          error.message
+        );
+        state.response.status = "failed";
+        state.response.error = {
+          code: openaiError.error.code,
+          message: openaiError.error.message,
+        };
+        if (!res.writableEnded) {
+          res.write(
+            this._formatResponsesEvent(state, "response.failed", {
+              response: state.response,
+            })
+          );
+        }
+      } else {
+        this._sendOpenAIError(res, error.status || 500, error.message);
+      }
+    } finally {
+      this._switchAccountIfNeeded("Responses");
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  }
+
+  processGetResponse(req, res) {
+    const stored = this._getStoredResponse(req.params.responseId, req.apiKey);
+    if (!stored) {
+      return this._sendOpenAIError(
+        res,
+        404,
+        `Response with id '${req.params.responseId}' not found.`
+      );
+    }
+    res.status(200).json(stored.response);
+  }
+
+  processDeleteResponse(req, res) {
+    const responseId = req.params.responseId;
+    if (!this._getStoredResponse(responseId, req.apiKey)) {
+      return this._sendOpenAIError(
+        res,
+        404,
+        `Response with id '${responseId}' not found.`
+      );
+    }
+    this._deleteStoredResponse(responseId);
+    res.status(200).json({ id: responseId, object: "response", deleted: true });
+  }
+
+  // --- Files / Batches (状态由 BatchManager 保存在磁盘上) ---
+
+  _handleBatchApiError(error, res) {
+    if (!error.status) {
+      this.logger.error(`[Batch] 处理请求失败: ${error.message}`);
+    }
+    this._sendOpenAIError(res, error.status || 500, error.message);
+  }
+
+  processCreateFile(req, res) {
+    const batchManager = this.serverSystem.batchManager;
+    if (!req.file) {
+      return this._sendOpenAIError(res, 400, "'file' is required.");
+    }
+    if (!req.body?.purpose) {
+      fs.rmSync(req.file.path, { force: true });
+      return this._sendOpenAIError(res, 400, "'purpose' is required.");
+    }
+    try {
+      const file = batchManager.createFile(
+        req.file.path,
+        req.file.originalname,
+        req.body.purpose,
+        req.apiKey
+      );
+      res.status(200).json(batchManager.toPublic(file));
+    } catch (error) {
+      this._handleBatchApiError(error, res);
+    }
+  }
+
+  processListFiles(req, res) {
+    const batchManager = this.serverSystem.batchManager;
+    const data = batchManager
+      .listFiles(req.query.purpose, req.apiKey)
+      .map((file) => batchManager.toPublic(file));
+    res.status(200).json({ object: "list", data, has_more: false });
+  }
+
+  processGetFile(req, res) {
+    const batchManager = this.serverSystem.batchManager;
+    try {
+      const file = batchManager.getFile(req.params.fileId, req.apiKey);
+      res.status(200).json(batchManager.toPublic(file));
+    } catch (error) {
+      this._handleBatchApiError(error, res);
+    }
+  }
+
+  processGetFileContent(req, res) {
+    const batchManager = this.serverSystem.batchManager;
+    try {
+      const file = batchManager.getFile(req.params.fileId, req.apiKey);
+      res.attachment(file.filename);
+      res.sendFile(batchManager.filePath(file.id));
+    } catch (error) {
+      this._handleBatchApiError(error, res);
+    }
+  }
+
+  processDeleteFile(req, res) {
+    try {
+      res
+        .status(200)
+        .json(
+          this.serverSystem.batchManager.deleteFile(
+            req.params.fileId,
+            req.apiKey
+          )
+        );
+    } catch (error) {
+      this._handleBatchApiError(error, res);
+    }
+  }
+
+  processCreateBatch(req, res) {
+    const batchManager = this.serverSystem.batchManager;
+    try {
+      const batch = batchManager.createBatch(req.body || {}, req.apiKey);
+      res.status(200).json(batchManager.toPublic(batch));
+    } catch (error) {
+      this._handleBatchApiError(error, res);
+    }
+  }
+
+  processGetBatch(req, res) {
+    const batchManager = this.serverSystem.batchManager;
+    try {
+      const batch = batchManager.getBatch(req.params.batchId, req.apiKey);
+      res.status(200).json(batchManager.toPublic(batch));
+    } catch (error) {
+      this._handleBatchApiError(error, res);
+    }
+  }
+
+  processCancelBatch(req, res) {
+    const batchManager = this.serverSystem.batchManager;
+    try {
+      const batch = batchManager.cancelBatch(req.params.batchId, req.apiKey);
+      res.status(200).json(batchManager.toPublic(batch));
+    } catch (error) {
+      this._handleBatchApiError(error, res);
+    }
+  }
+
+  processListBatches(req, res) {
+    const batchManager = this.serverSystem.batchManager;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100
+    );
+    const { data, has_more } = batchManager.listBatches(
+      limit,
+      req.query.after,
+      req.apiKey
+    );
+    res.status(200).json({
+      object: "list",
+      data: data.map((batch) => batchManager.toPublic(batch)),
+      first_id: data[0]?.id || null,
+      last_id: data[data.length - 1]?.id || null,
+      has_more,
+    });
+  }
+
+  async processListModelsRequest(req, res) {
+    const catalog = await this._getModelCatalog();
+    res.status(200).json({ object: "list", data: [...catalog.values()] });
+  }
+
+  async processGetModelRequest(req, res) {
+    const catalog = await this._getModelCatalog();
+    const model = catalog.get(req.params.modelId);
+    if (!model) {
+      return this._sendOpenAIError(
+        res,
+        404,
+        `The model '${req.params.modelId}' does not exist.`
+      );
+    }
+    res.status(200).json(model);
+  }
+
+  // 模型目录：models.json 中的模型与别名在前，开启 MODEL_DISCOVERY 时合并实时拉取的模型及其上下文/输出上限
+  async _getModelCatalog() {
+    const discovered = this.config.modelDiscovery
+      ? await this._discoverModels()
+      : {};
+    const created = Math.floor(
+      (this.modelCache.fetchedAt || this.startedAt) / 1000
+    );
+    const describe = (id, target = null) => {
+      const info = discovered[target || id];
+      return {
+        id,
+        object: "model",
+        created,
+        owned_by: "google",
+        ...(target ? { root: target } : {}),
+        ...(info
+          ? {
+              display_name: info.displayName,
+              description: info.description,
+              context_window: info.inputTokenLimit,
+              max_output_tokens: info.outputTokenLimit,
+              supported_generation_methods:
+                info.supportedGenerationMethods || [],
+            }
+          : {}),
+      };
+    };
+
+    const catalog = new Map();
+    const modelIds = this.config.modelList?.length
+      ? this.config.modelList
+      : ["gemini-2.5-pro"];
+    for (const id of modelIds) {
+      catalog.set(id, describe(id, this.config.modelSettings?.[id]?.target));
+    }
+    for (const id of Object.keys(discovered)) {
+      if (!catalog.has(id)) catalog.set(id, describe(id));
+    }
+    return catalog;
+  }
+
+  // 按 TTL 缓存拉取结果，并发请求共用同一次拉取；失败时沿用旧缓存 (没有则只返回静态列表)
+  async _discoverModels() {
+    const ttl = this.config.modelDiscoveryTtlMinutes * 60 * 1000;
+    if (
+      this.modelCache.models &&
+      Date.now() - this.modelCache.fetchedAt < ttl
+    ) {
+      return this.modelCache.models;
+    }
+    if (!this.modelCache.pending) {
+      this.modelCache.pending = this._fetchModelList()
+        .then((models) => {
+          this.modelCache.models = models;
+          this.modelCache.fetchedAt = Date.now();
           this.logger.info(
-            `[Request] 请求 #${proxyRequest.request_id} 已被用户妥善取消。`
+            `[Models] 已从 Google 拉取 ${Object.keys(models).length} 个模型。`
           );
-        } else {
-          this.logger.error(
-            `[Request] 浏览器端返回错误: ${headerMessage.message}`
+          return models;
+        })
+        .catch((error) => {
+          this.logger.warn(
+            `[Models] 拉取模型列表失败，使用${
+              this.modelCache.models ? "旧缓存" : "静态列表"
+            }: ${error.message}`
           );
-          await this._handleRequestFailureAndSwitch(headerMessage, null);
+          return this.modelCache.models || {};
+        })
+        .finally(() => {
+          this.modelCache.pending = null;
+        });
+    }
+    return this.modelCache.pending;
+  }
+
+  async _fetchModelList() {
+    const models = {};
+    let pageToken = "";
+    do {
+      const query = new URLSearchParams({ pageSize: "1000" });
+      if (pageToken) query.set("pageToken", pageToken);
+      const page = await this._fetchThroughBrowser(
+        `/v1beta/models?${query}`,
+        null,
+        "GET"
+      );
+      for (const model of page.models || []) {
+        models[model.name.replace(/^models\//, "")] = model;
+      }
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+    return models;
+  }
+
+  // 适配层请求发送前的统一处理：先按上下文窗口裁剪历史，再套用上下文缓存 (裁剪会改变前缀)
+  async _prepareGoogleRequest(model, googleBody, res = null) {
+    await this._fitContextWindow(model, googleBody, res);
+    this._applyContextCache(googleBody, model);
+  }
+
+  // 模型输入上限：models.json 的 contextWindow -> 实时模型列表的 inputTokenLimit -> 全局默认值
+  _getContextWindow(model) {
+    return (
+      this.config.modelSettings?.[model]?.contextWindow ||
+      this.modelCache.models?.[model]?.inputTokenLimit ||
+      this.config.contextWindowTokens
+    );
+  }
+
+  _estimateContentTokens(content) {
+    return (content?.parts || []).reduce((sum, part) => {
+      if (part.text) return sum + this._estimateTokens(part.text);
+      // 图片等媒体按 Gemini 的固定计费估算
+      if (part.inlineData || part.fileData) return sum + 258;
+      return sum + this._estimateTokens(JSON.stringify(part));
+    }, 0);
+  }
+
+  // 以带有非工具结果内容的 user 消息作为一轮对话的起点 (工具结果可能与其后的用户消息合并在同一轮次)
+  _groupContentsIntoTurns(contents) {
+    const turns = [];
+    for (const content of contents) {
+      const startsTurn =
+        content.role === "user" &&
+        (content.parts || []).some((part) => !part.functionResponse);
+      if (startsTurn || turns.length === 0) turns.push([]);
+      turns[turns.length - 1].push(content);
+    }
+    return turns;
+  }
+
+  // 上下文窗口管理：历史超出模型输入上限时按 CONTEXT_WINDOW_STRATEGY 裁剪旧的轮次，
+  // system 指令和最后一轮始终保留；裁剪结果通过 X-Context-Truncated 响应头告知客户端
+  async _fitContextWindow(model, googleBody, res = null) {
+    const strategy = this.config.contextWindowStrategy;
+    if (!strategy || strategy === "none" || googleBody.cachedContent) return;
+
+    const turns = this._groupContentsIntoTurns(googleBody.contents || []);
+    const baseTokens =
+      this._estimateContentTokens(googleBody.systemInstruction) +
+      this._estimateTokens(JSON.stringify(googleBody.tools || []));
+    const turnTokens = turns.map((turn) =>
+      turn.reduce(
+        (sum, content) => sum + this._estimateContentTokens(content),
+        0
+      )
+    );
+    const sumTokens = (fromTurn) =>
+      turnTokens.slice(fromTurn).reduce((sum, tokens) => sum + tokens, 0);
+    let totalTokens = baseTokens + sumTokens(0);
+    // 摘要会占用一部分窗口，预留出来
+    const limit =
+      this._getContextWindow(model) - (strategy === "summarize" ? 1024 : 0);
+
+    // 估算接近上限时用 countTokens 精确计数，并按比例校正各轮的估算值
+    let scale = 1;
+    if (
+      this.config.contextTokenCounting === "count_tokens" &&
+      totalTokens > limit * 0.8
+    ) {
+      try {
+        const result = await this._fetchThroughBrowser(
+          `/v1beta/models/${model}:countTokens`,
+          {
+            generateContentRequest: { model: `models/${model}`, ...googleBody },
+          }
+        );
+        if (result.totalTokens) {
+          scale = result.totalTokens / totalTokens;
+          totalTokens = result.totalTokens;
         }
-        return this._sendErrorResponse(
-          res,
-          headerMessage.status || 500,
-          headerMessage.message
+      } catch (error) {
+        this.logger.warn(
+          `[Context] countTokens 调用失败，改用估算值: ${error.message}`
         );
       }
+    }
+    if (totalTokens <= limit) return;
+
+    // keep_last 先只保留最近 N 轮；之后仍超限则继续丢弃最旧的轮次
+    let firstKept =
+      strategy === "keep_last"
+        ? Math.max(0, turns.length - this.config.contextKeepLastTurns)
+        : 0;
+    const keptTokens = () => (baseTokens + sumTokens(firstKept)) * scale;
+    while (firstKept < turns.length - 1 && keptTokens() > limit) {
+      firstKept++;
+    }
+    if (firstKept === 0) return;
+
+    const droppedTurns = turns.slice(0, firstKept);
+    const keptContents = turns.slice(firstKept).flat();
+    // 对应的工具调用已被丢弃，新的首轮中残留的工具结果也一并去掉
+    keptContents[0] = {
+      ...keptContents[0],
+      parts: keptContents[0].parts.filter((part) => !part.functionResponse),
+    };
+    let summarized = false;
+    if (strategy === "summarize") {
+      // 只取能放进窗口的最近若干轮做摘要
+      const summaryTurns = [];
+      let summaryTokens = 0;
+      for (let i = droppedTurns.length - 1; i >= 0; i--) {
+        summaryTokens += turnTokens[i] * scale;
+        if (summaryTokens > limit) break;
+        summaryTurns.unshift(...droppedTurns[i]);
+      }
+      const summary = await this._summarizeContents(model, summaryTurns);
+      if (summary) {
+        keptContents[0] = {
+          ...keptContents[0],
+          parts: [
+            { text: `[Summary of earlier conversation]\n${summary}\n\n` },
+            ...keptContents[0].parts,
+          ],
+        };
+        summarized = true;
+      }
+    }
 
-      // 2. 准备一个缓冲区，并确保循环等待直到收到结束信号
-      let fullBody = "";
-      while (true) {
-        const message = await messageQueue.dequeue(300000);
-        if (message.type === "STREAM_END") {
-          this.logger.info("[Request] 收到结束信号，数据接收完毕。");
-          break;
-        }
-        if (message.event_type === "chunk" && message.data) {
-          fullBody += message.data;
+    googleBody.contents = keptContents;
+    const report = `strategy=${strategy}; dropped_turns=${firstKept}; dropped_messages=${
+      droppedTurns.flat().length
+    }; summarized=${summarized}; tokens=${Math.round(
+      totalTokens
+    )}->${Math.round(keptTokens())}`;
+    this.logger.warn(
+      `[Context] 历史超出 ${model} 的上下文窗口，已裁剪: ${report}`
+    );
+    if (res && !res.headersSent) res.set("X-Context-Truncated", report);
+  }
+
+  // 摘要请求不带工具声明，工具调用和结果都转成文本
+  async _summarizeContents(model, contents) {
+    if (contents.length === 0) return null;
+    const flattened = contents.map((content) => ({
+      role: content.role,
+      parts: (content.parts || [])
+        .filter((part) => !part.thought)
+        .map((part) => {
+          if (part.functionCall) {
+            return {
+              text: `[Tool call ${part.functionCall.name}: ${JSON.stringify(
+                part.functionCall.args || {}
+              )}]`,
+            };
+          }
+          if (part.functionResponse) {
+            return {
+              text: `[Tool result ${
+                part.functionResponse.name
+              }: ${JSON.stringify(part.functionResponse.response || {})}]`,
+            };
+          }
+          return part.text !== undefined ? { text: part.text } : part;
+        }),
+    }));
+    try {
+      const summaryModel = this.config.contextSummaryModel || model;
+      const result = await this._fetchThroughBrowser(
+        `/v1beta/models/${summaryModel}:generateContent`,
+        {
+          contents: [
+            ...flattened,
+            {
+              role: "user",
+              parts: [
+                {
+                  text: "Summarize the conversation above in a few concise paragraphs. Keep facts, decisions, open tasks and any details needed to continue the conversation.",
+                },
+              ],
+            },
+          ],
         }
+      );
+      const text = (result.candidates?.[0]?.content?.parts || [])
+        .filter((part) => part.text && !part.thought)
+        .map((part) => part.text)
+        .join("")
+        .trim();
+      return text || null;
+    } catch (error) {
+      this.logger.warn(
+        `[Context] 生成历史摘要失败，仅丢弃旧消息: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  // 自动上下文缓存：system 指令 + 工具 + 之前的历史消息组成稳定前缀，按哈希查找已创建的 cachedContents。
+  // 命中时用 cachedContent 替换前缀；未缓存的前缀足够大时在后台创建，供之后的请求复用。
+  _applyContextCache(googleRequest, modelName) {
+    if (!this.config.contextCache || googleRequest.cachedContent) return;
+    const now = Date.now();
+    this._sweepContextCaches(now);
+
+    // 缓存属于账号，切换账号后旧条目自然不再命中
+    const contents = googleRequest.contents || [];
+    const stablePrefix = {
+      systemInstruction: googleRequest.systemInstruction,
+      tools: googleRequest.tools,
+      toolConfig: googleRequest.toolConfig,
+    };
+    const hash = crypto.createHash("sha256");
+    hash.update(
+      JSON.stringify([modelName, this.currentAuthIndex, stablePrefix])
+    );
+    // prefixes[i] 表示包含前 i 条消息的前缀，最后一条消息始终留在请求里
+    const prefixes = [
+      {
+        key: hash.copy().digest("hex"),
+        tokens: this._estimateTokens(JSON.stringify(stablePrefix)),
+      },
+    ];
+    for (const content of contents.slice(0, -1)) {
+      hash.update(JSON.stringify(content));
+      prefixes.push({
+        key: hash.copy().digest("hex"),
+        tokens:
+          prefixes[prefixes.length - 1].tokens +
+          this._estimateTokens(JSON.stringify(content)),
+      });
+    }
+
+    let hitIndex = -1;
+    for (let i = prefixes.length - 1; i >= 0; i--) {
+      if (this.contextCaches.get(prefixes[i].key)?.name) {
+        hitIndex = i;
+        break;
       }
+    }
 
-      // 3. 重置失败计数器（如果需要）
-      if (proxyRequest.is_generative && this.failureCount > 0) {
-        this.logger.info(
-          `✅ [Auth] 非流式生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+    const longest = prefixes[prefixes.length - 1];
+    const uncachedTokens =
+      longest.tokens - (hitIndex >= 0 ? prefixes[hitIndex].tokens : 0);
+    if (
+      uncachedTokens >= this.config.contextCacheMinTokens &&
+      !this.contextCaches.has(longest.key)
+    ) {
+      this._createContextCache(longest.key, modelName, {
+        ...stablePrefix,
+        contents: contents.slice(0, prefixes.length - 1),
+      });
+    }
+
+    if (hitIndex < 0) return;
+    const entry = this.contextCaches.get(prefixes[hitIndex].key);
+    this.contextCaches.delete(prefixes[hitIndex].key);
+    this.contextCaches.set(prefixes[hitIndex].key, entry);
+    // 使用 cachedContent 时请求中不能再带 system 指令和工具
+    googleRequest.cachedContent = entry.name;
+    googleRequest.contents = contents.slice(hitIndex);
+    delete googleRequest.systemInstruction;
+    delete googleRequest.tools;
+    delete googleRequest.toolConfig;
+    this.logger.info(
+      `[Cache] 命中上下文缓存 ${entry.name} (缓存了 ${hitIndex} 条历史消息)`
+    );
+  }
+
+  async _createContextCache(key, modelName, cacheBody) {
+    const ttlSeconds = this.config.contextCacheTtlMinutes * 60;
+    const entry = {
+      name: null,
+      authIndex: this.currentAuthIndex,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    };
+    // 先占位，避免并发请求重复创建
+    this.contextCaches.set(key, entry);
+    try {
+      const googleBody = Object.fromEntries(
+        Object.entries(cacheBody).filter(
+          ([, value]) => value !== undefined && value.length !== 0
+        )
+      );
+      const result = await this._fetchThroughBrowser("/v1beta/cachedContents", {
+        model: `models/${modelName}`,
+        ...googleBody,
+        ttl: `${ttlSeconds}s`,
+      });
+      entry.name = result.name;
+      entry.expiresAt = Date.parse(result.expireTime) || entry.expiresAt;
+      this.logger.info(
+        `[Cache] 已创建上下文缓存 ${result.name} (${
+          result.usageMetadata?.totalTokenCount || "?"
+        } tokens)`
+      );
+    } catch (error) {
+      // 失败的占位保留到过期为止，避免每轮都重试 (例如前缀低于模型的最小缓存长度)
+      this.logger.warn(`[Cache] 创建上下文缓存失败: ${error.message}`);
+    }
+  }
+
+  // 丢弃即将过期的条目；超出数量上限时删除最久未使用的条目
+  _sweepContextCaches(now = Date.now()) {
+    for (const [key, entry] of this.contextCaches) {
+      // 提前一分钟视为过期，避免请求途中缓存失效
+      if (entry.expiresAt - 60 * 1000 <= now) {
+        this.contextCaches.delete(key);
+      }
+    }
+    while (this.contextCaches.size > 100) {
+      const [key, entry] = this.contextCaches.entries().next().value;
+      this.contextCaches.delete(key);
+      if (entry.name && entry.authIndex === this.currentAuthIndex) {
+        this._fetchThroughBrowser(
+          `/v1beta/${entry.name}`,
+          null,
+          "DELETE"
+        ).catch((error) =>
+          this.logger.warn(
+            `[Cache] 删除上下文缓存 ${entry.name} 失败: ${error.message}`
+          )
+        );
+      }
+    }
+  }
+
+  // --- 新增一个辅助方法，用于发送取消指令 ---
+  _cancelBrowserRequest(requestId) {
+    const connection = this.connectionRegistry.getFirstConnection();
+    if (connection) {
+      this.logger.info(
+        `[Request] 正在向浏览器发送取消请求 #${requestId} 的指令...`
+      );
+      connection.send(
+        JSON.stringify({
+          event_type: "cancel_request",
+          request_id: requestId,
+        })
+      );
+    } else {
+      this.logger.warn(
+        `[Request] 无法发送取消指令：没有可用的浏览器WebSocket连接。`
+      );
+    }
+  }
+
+  _generateRequestId() {
+    return `${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  }
+  _buildProxyRequest(req, requestId) {
+    let bodyObj = req.body;
+    let requestPath = req.path;
+
+    // 路径中的模型名若为别名，替换为目标模型并补上别名的默认参数
+    const aliasName = (requestPath.match(/models\/([^:/]+)/) || [])[1] || "";
+    const { model: modelName } = this._resolveModelAlias(aliasName);
+    if (modelName !== aliasName) {
+      requestPath = requestPath.replace(
+        `models/${aliasName}`,
+        `models/${modelName}`
+      );
+      if (req.method === "POST" && bodyObj?.contents) {
+        this._applyModelDefaults(bodyObj, aliasName);
+      }
+    }
+    if (
+      this.serverSystem.forceThinking &&
+      req.method === "POST" &&
+      bodyObj &&
+      bodyObj.contents
+    ) {
+      if (!bodyObj.generationConfig) {
+        bodyObj.generationConfig = {};
+      }
+
+      if (!bodyObj.generationConfig.thinkingConfig) {
+        this.logger.info(
+          `[Proxy] ⚠️ (Google原生格式) 强制推理已启用，且客户端未提供配置，正在注入 thinkingConfig...`
+        );
+        bodyObj.generationConfig.thinkingConfig = { includeThoughts: true };
+      } else {
+        this.logger.info(
+          `[Proxy] ✅ (Google原生格式) 检测到客户端自带推理配置，跳过强制注入。`
+        );
+      }
+    }
+
+    // 原生生成请求未自带安全设置时，注入配置中的安全策略
+    // (countTokens、cachedContents 等接口不接受 safetySettings 字段)
+    if (
+      req.method === "POST" &&
+      /:(generateContent|streamGenerateContent)$/.test(requestPath) &&
+      bodyObj?.contents &&
+      !bodyObj.safetySettings
+    ) {
+      bodyObj.safetySettings = this._buildSafetySettings(
+        modelName,
+        req.apiKey,
+        null,
+        aliasName
+      );
+    }
+
+    let requestBody = "";
+    if (bodyObj) {
+      requestBody = JSON.stringify(bodyObj);
+    }
+
+    return {
+      path: requestPath,
+      method: req.method,
+      headers: req.headers,
+      query_params: req.query,
+      body: requestBody,
+      request_id: requestId,
+      streaming_mode: this.serverSystem.streamingMode,
+    };
+  }
+  _forwardRequest(proxyRequest) {
+    const connection = this.connectionRegistry.getFirstConnection();
+    if (connection) {
+      connection.send(JSON.stringify(proxyRequest));
+    } else {
+      throw new Error("无法转发请求：没有可用的WebSocket连接。");
+    }
+  }
+  // 通过浏览器发送一次性 (非流式) 请求并返回解析后的JSON，供对话以外的接口复用
+  async _fetchThroughBrowser(apiPath, body = null, method = "POST") {
+    const requestId = this._generateRequestId();
+    const proxyRequest = {
+      path: apiPath,
+      method,
+      headers: { "Content-Type": "application/json" },
+      query_params: {},
+      body: body ? JSON.stringify(body) : "",
+      request_id: requestId,
+      streaming_mode: "fake",
+    };
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+    try {
+      this._forwardRequest(proxyRequest);
+      const headerMessage = await messageQueue.dequeue();
+      if (headerMessage.event_type === "error") {
+        throw this._createUpstreamError(headerMessage);
+      }
+      let fullBody = "";
+      while (true) {
+        const message = await messageQueue.dequeue(300000);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type === "error") {
+          throw this._createUpstreamError(message);
+        }
+        if (message.event_type === "chunk" && message.data) {
+          fullBody += message.data;
+        }
+      }
+      return JSON.parse(fullBody || "{}");
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+    }
+  }
+
+  // 新协议适配层 (Anthropic / Responses 等) 共用的生成调用：负责转发、失败计数和流式解析，
+  // 每收到一个完整的 Google 响应对象就交给 onResponse，由调用方翻译成各自的格式。
+  // 失败时抛出带 status 的错误；流开始后出现的错误额外带 midStream 标记。
+  async _runGoogleGeneration(model, googleBody, options = {}) {
+    const { stream = false, res = null, onResponse } = options;
+    await this._prepareGoogleRequest(model, googleBody, res);
+    const requestId = this._generateRequestId();
+    const useRealStream = stream && this.serverSystem.streamingMode === "real";
+    const proxyRequest = {
+      path: `/v1beta/models/${model}:${
+        useRealStream ? "streamGenerateContent" : "generateContent"
+      }`,
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      query_params: useRealStream ? { alt: "sse" } : {},
+      body: JSON.stringify(googleBody),
+      request_id: requestId,
+      is_generative: true,
+      streaming_mode: useRealStream ? "real" : "fake",
+    };
+
+    if (res) {
+      res.on("close", () => {
+        if (!res.writableEnded) {
+          this.logger.warn(
+            `[Request] 客户端已提前关闭请求 #${requestId} 的连接。`
+          );
+          this._cancelBrowserRequest(requestId);
+        }
+      });
+    }
+
+    const messageQueue = this.connectionRegistry.createMessageQueue(requestId);
+    try {
+      this._forwardRequest(proxyRequest);
+      const initialMessage = await messageQueue.dequeue();
+      if (initialMessage.event_type === "error") {
+        if (!initialMessage.message?.includes("The user aborted a request")) {
+          this.logger.error(
+            `[Adapter] 收到来自浏览器的错误，将触发切换逻辑。状态码: ${initialMessage.status}, 消息: ${initialMessage.message}`
+          );
+          await this._handleRequestFailureAndSwitch(initialMessage, null);
+        }
+        throw this._createUpstreamError(initialMessage);
+      }
+
+      if (this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+
+      let buffer = "";
+      while (true) {
+        const message = await messageQueue.dequeue(300000);
+        if (message.type === "STREAM_END") break;
+        if (message.event_type === "error") {
+          const error = this._createUpstreamError(message);
+          error.midStream = true;
+          throw error;
+        }
+        if (!message.data) continue;
+        buffer += message.data;
+        if (useRealStream) {
+          // 一个数据块可能包含多个或半个 SSE 事件，按空行切分后保留残余部分
+          const events = buffer.split(/\r?\n\r?\n/);
+          buffer = events.pop();
+          for (const event of events) {
+            this._dispatchSseEvent(event, onResponse);
+          }
+        }
+      }
+      if (useRealStream) {
+        this._dispatchSseEvent(buffer, onResponse);
+      } else if (buffer) {
+        onResponse(JSON.parse(buffer));
+      }
+    } finally {
+      this.connectionRegistry.removeMessageQueue(requestId);
+    }
+  }
+
+  _dispatchSseEvent(event, onResponse) {
+    const data = event
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.substring(5).trim())
+      .join("");
+    if (!data || data === "[DONE]") return;
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (e) {
+      this.logger.warn(`[Adapter] 无法解析Google返回的SSE事件: ${data}`);
+      return;
+    }
+    // 翻译回调放在 try 之外，其异常交给调用方的错误处理
+    onResponse(parsed);
+  }
+
+  // 粗略的 token 估算：CJK 字符约 1 token/字，其余约 4 字符/token
+  _estimateTokens(text) {
+    if (!text) return 0;
+    const cjkCount = (
+      text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []
+    ).length;
+    return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+  }
+  _sendErrorChunkToClient(res, errorMessage) {
+    const errorPayload = {
+      error: {
+        message: `[代理系统提示] ${errorMessage}`,
+        type: "proxy_error",
+        code: "proxy_error",
+      },
+    };
+    const chunk = `data: ${JSON.stringify(errorPayload)}\n\n`;
+    if (res && !res.writableEnded) {
+      res.write(chunk);
+      this.logger.info(`[Request] 已向客户端发送标准错误信号: ${errorMessage}`);
+    }
+  }
+
+  async _handlePseudoStreamResponse(proxyRequest, messageQueue, req, res) {
+    this.logger.info(
+      "[Request] 客户端启用流式传输 (fake)，进入伪流式处理模式..."
+    );
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    const connectionMaintainer = setInterval(() => {
+      if (!res.writableEnded) res.write(": keep-alive\n\n");
+    }, 3000);
+
+    try {
+      let lastMessage,
+        requestFailed = false;
+
+      // 我们的重试循环（即使只跑一次）
+      for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+        if (attempt > 1) {
+          this.logger.info(
+            `[Request] 请求尝试 #${attempt}/${this.maxRetries}...`
+          );
+        }
+        this._forwardRequest(proxyRequest);
+        try {
+          const timeoutPromise = new Promise((_, reject) =>
+            setTimeout(
+              () =>
+                reject(
+                  new Error("Response from browser timed out after 300 seconds")
+                ),
+              300000
+            )
+          );
+          lastMessage = await Promise.race([
+            messageQueue.dequeue(),
+            timeoutPromise,
+          ]);
+        } catch (timeoutError) {
+          this.logger.error(`[Request] 致命错误: ${timeoutError.message}`);
+          lastMessage = {
+            event_type: "error",
+            status: 504,
+            message: timeoutError.message,
+          };
+        }
+
+        if (lastMessage.event_type === "error") {
+          // --- 核心修改：在这里就区分，避免打印不必要的“失败”日志 ---
+          if (
+            !(
+              lastMessage.message &&
+              lastMessage.message.includes("The user aborted a request")
+            )
+          ) {
+            // 只有在不是“用户取消”的情况下，才打印“尝试失败”的警告
+            this.logger.warn(
+              `[Request] 尝试 #${attempt} 失败: 收到 ${
+                lastMessage.status || "未知"
+              } 错误。 - ${lastMessage.message}`
+            );
+          }
+
+          if (attempt < this.maxRetries) {
+            await new Promise((resolve) =>
+              setTimeout(resolve, this.retryDelay)
+            );
+            continue;
+          }
+          requestFailed = true;
+        }
+        break;
+      }
+
+      // 处理最终结果
+      if (requestFailed) {
+        if (
+          lastMessage.message &&
+          lastMessage.message.includes("The user aborted a request")
+        ) {
+          this.logger.info(
+            `[Request] 请求 #${proxyRequest.request_id} 已由用户妥善取消，不计入失败统计。`
+          );
+        } else {
+          this.logger.error(
+            `[Request] 所有 ${this.maxRetries} 次重试均失败，将计入失败统计。`
+          );
+          await this._handleRequestFailureAndSwitch(lastMessage, res);
+          this._sendErrorChunkToClient(
+            res,
+            `请求最终失败: ${lastMessage.message}`
+          );
+        }
+        return;
+      }
+
+      // 成功的逻辑
+      if (proxyRequest.is_generative && this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+      const dataMessage = await messageQueue.dequeue();
+      const endMessage = await messageQueue.dequeue();
+      if (dataMessage.data) {
+        res.write(
+          `data: ${this._rewriteNativeInlineImages(dataMessage.data)}\n\n`
+        );
+      }
+      if (endMessage.type !== "STREAM_END") {
+        this.logger.warn("[Request] 未收到预期的流结束信号。");
+      }
+      try {
+        const fullResponse = JSON.parse(dataMessage.data);
+        const finishReason =
+          fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+        this.logger.info(
+          `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
+        );
+      } catch (e) {}
+      res.write("data: [DONE]\n\n");
+    } catch (error) {
+      this._handleRequestError(error, res);
+    } finally {
+      clearInterval(connectionMaintainer);
+      if (!res.writableEnded) {
+        res.end();
+      }
+      this.logger.info(
+        `[Request] 响应处理结束，请求ID: ${proxyRequest.request_id}`
+      );
+    }
+  }
+
+  async _handleRealStreamResponse(proxyRequest, messageQueue, res) {
+    this.logger.info(`[Request] 请求已派发给浏览器端处理...`);
+    this._forwardRequest(proxyRequest);
+    const headerMessage = await messageQueue.dequeue();
+
+    if (headerMessage.event_type === "error") {
+      if (
+        headerMessage.message &&
+        headerMessage.message.includes("The user aborted a request")
+      ) {
+        this.logger.info(
+          `[Request] 请求 #${proxyRequest.request_id} 已被用户妥善取消，不计入失败统计。`
+        );
+      } else {
+        this.logger.error(`[Request] 请求失败，将计入失败统计。`);
+        await this._handleRequestFailureAndSwitch(headerMessage, null);
+        return this._sendErrorResponse(
+          res,
+          headerMessage.status,
+          headerMessage.message
+        );
+      }
+      if (!res.writableEnded) res.end();
+      return;
+    }
+
+    // --- 核心修改：只有在生成请求成功时，才重置失败计数 ---
+    if (proxyRequest.is_generative && this.failureCount > 0) {
+      this.logger.info(
+        `✅ [Auth] 生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+      );
+      this.failureCount = 0;
+    }
+    // --- 修改结束 ---
+
+    this._setResponseHeaders(res, headerMessage);
+    this.logger.info("[Request] 开始流式传输...");
+    try {
+      let lastChunk = "";
+      while (true) {
+        const dataMessage = await messageQueue.dequeue(30000);
+        if (dataMessage.type === "STREAM_END") {
+          this.logger.info("[Request] 收到流结束信号。");
+          break;
+        }
+        if (dataMessage.data) {
+          res.write(dataMessage.data);
+          lastChunk = dataMessage.data;
+        }
+      }
+      try {
+        if (lastChunk.startsWith("data: ")) {
+          const jsonString = lastChunk.substring(6).trim();
+          if (jsonString) {
+            const lastResponse = JSON.parse(jsonString);
+            const finishReason =
+              lastResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+            this.logger.info(
+              `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
+            );
+          }
+        }
+      } catch (e) {}
+    } catch (error) {
+      if (error.message !== "Queue timeout") throw error;
+      this.logger.warn("[Request] 真流式响应超时，可能流已正常结束。");
+    } finally {
+      if (!res.writableEnded) res.end();
+      this.logger.info(
+        `[Request] 真流式响应连接已关闭，请求ID: ${proxyRequest.request_id}`
+      );
+    }
+  }
+
+  async _handleNonStreamResponse(proxyRequest, messageQueue, res) {
+    this.logger.info(`[Request] 进入非流式处理模式...`);
+
+    // 转发请求到浏览器端
+    this._forwardRequest(proxyRequest);
+
+    try {
+      // 1. 等待响应头信息
+      const headerMessage = await messageQueue.dequeue();
+      if (headerMessage.event_type === "error") {
+        // ... (错误处理逻辑保持不变)
+        if (headerMessage.message?.includes("The user aborted a request")) {
+          this.logger.info(
+            `[Request] 请求 #${proxyRequest.request_id} 已被用户妥善取消。`
+          );
+        } else {
+          this.logger.error(
+            `[Request] 浏览器端返回错误: ${headerMessage.message}`
+          );
+          await this._handleRequestFailureAndSwitch(headerMessage, null);
+        }
+        return this._sendErrorResponse(
+          res,
+          headerMessage.status || 500,
+          headerMessage.message
+        );
+      }
+
+      // 2. 准备一个缓冲区，并确保循环等待直到收到结束信号
+      let fullBody = "";
+      while (true) {
+        const message = await messageQueue.dequeue(300000);
+        if (message.type === "STREAM_END") {
+          this.logger.info("[Request] 收到结束信号，数据接收完毕。");
+          break;
+        }
+        if (message.event_type === "chunk" && message.data) {
+          fullBody += message.data;
+        }
+      }
+
+      // 3. 重置失败计数器（如果需要）
+      if (proxyRequest.is_generative && this.failureCount > 0) {
+        this.logger.info(
+          `✅ [Auth] 非流式生成请求成功 - 失败计数已从 ${this.failureCount} 重置为 0`
+        );
+        this.failureCount = 0;
+      }
+
+      // [核心修正] 对Google原生格式的响应进行智能图片处理
+      fullBody = this._rewriteNativeInlineImages(fullBody);
+
+      try {
+        const fullResponse = JSON.parse(fullBody);
+        const finishReason =
+          fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
+        this.logger.info(
+          `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
+        );
+      } catch (e) {}
+
+      // 4. 设置正确的JSON响应头，并一次性发送处理过的全部数据
+      res
+        .status(headerMessage.status || 200)
+        .type("application/json")
+        .send(fullBody || "{}");
+
+      this.logger.info(`[Request] 已向客户端发送完整的非流式响应。`);
+    } catch (error) {
+      this._handleRequestError(error, res);
+    }
+  }
+
+  // 将原生 Google 响应中的 inlineData 图片原位替换为 Markdown 文本 (data URL 或托管链接)，
+  // inline_data 模式下原样返回
+  _rewriteNativeInlineImages(fullBody) {
+    if (this.config.mediaOutputMode === "inline_data") return fullBody;
+    try {
+      const parsedBody = JSON.parse(fullBody);
+      let needsReserialization = false;
+
+      for (const candidate of parsedBody.candidates || []) {
+        (candidate.content?.parts || []).forEach((part, partIndex) => {
+          if (!part.inlineData) return;
+          this.logger.info(
+            "[Proxy] 检测到Google格式响应中的图片数据，正在转换为Markdown..."
+          );
+          // 用一个新的 text part 原位替换 inlineData part，保持与周围文本的顺序
+          candidate.content.parts[partIndex] = {
+            text: `![Generated Image](${this._inlineDataToUrl(
+              part.inlineData
+            )})`,
+          };
+          needsReserialization = true;
+        });
+      }
+
+      if (needsReserialization) {
+        return JSON.stringify(parsedBody); // 如果处理了图片，重新序列化
+      }
+    } catch (e) {
+      this.logger.warn(
+        `[Proxy] 响应体不是有效的JSON，或在处理图片时出错: ${e.message}`
+      );
+      // 如果出错，则什么都不做，直接发送原始的 fullBody
+    }
+    return fullBody;
+  }
+
+  _getKeepAliveChunk(req) {
+    if (req.path.includes("chat/completions")) {
+      const payload = {
+        id: `chatcmpl-${this._generateRequestId()}`,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: "gpt-4",
+        choices: [{ index: 0, delta: {}, finish_reason: null }],
+      };
+      return `data: ${JSON.stringify(payload)}\n\n`;
+    }
+    if (
+      req.path.includes("generateContent") ||
+      req.path.includes("streamGenerateContent")
+    ) {
+      const payload = {
+        candidates: [
+          {
+            content: { parts: [{ text: "" }], role: "model" },
+            finishReason: null,
+            index: 0,
+            safetyRatings: [],
+          },
+        ],
+      };
+      return `data: ${JSON.stringify(payload)}\n\n`;
+    }
+    return "data: {}\n\n";
+  }
+
+  _setResponseHeaders(res, headerMessage) {
+    res.status(headerMessage.status || 200);
+    const headers = headerMessage.headers || {};
+    Object.entries(headers).forEach(([name, value]) => {
+      if (name.toLowerCase() !== "content-length") res.set(name, value);
+    });
+  }
+  _handleRequestError(error, res) {
+    if (res.headersSent) {
+      this.logger.error(`[Request] 请求处理错误 (头已发送): ${error.message}`);
+      if (this.serverSystem.streamingMode === "fake")
+        this._sendErrorChunkToClient(res, `处理失败: ${error.message}`);
+      if (!res.writableEnded) res.end();
+    } else {
+      this.logger.error(`[Request] 请求处理错误: ${error.message}`);
+      const status = error.message.includes("超时") ? 504 : 500;
+      this._sendErrorResponse(res, status, `代理错误: ${error.message}`);
+    }
+  }
+
+  _createUpstreamError(errorMessage) {
+    const error = new Error(errorMessage.message);
+    error.status = errorMessage.status || 500;
+    return error;
+  }
+
+  // 输入超出模型上下文或请求体大小上限，只匹配 Google 的具体报错，例如
+  // "The input token count (1200000) exceeds the maximum number of tokens allowed (1048576)."
+  _isInputSizeError(errorDetails) {
+    return (
+      [400, 413].includes(errorDetails?.status) &&
+      /input token count \(\d+\) exceeds the maximum number of tokens allowed|request payload size exceeds the limit/i.test(
+        errorDetails.message || ""
+      )
+    );
+  }
+
+  // 浏览器端转发的错误形如 "代理端浏览器错误: Google API返回错误: 429 Too Many Requests {...}"，
+  // 尽量从中还原 Google 的错误 JSON，得到真实的状态码和错误信息
+  _parseGoogleError(status, message = "") {
+    const result = {
+      status: status || 500,
+      message: message
+        .replace(/^代理端浏览器错误:\s*/, "")
+        .replace(/^Google API返回错误:\s*/, ""),
+      googleStatus: null,
+    };
+    const jsonStart = message.search(/[[{]/);
+    if (jsonStart > -1) {
+      try {
+        let parsed = JSON.parse(message.substring(jsonStart));
+        if (Array.isArray(parsed)) parsed = parsed[0];
+        const googleError = parsed?.error;
+        if (googleError) {
+          result.status = googleError.code || result.status;
+          result.message = googleError.message || result.message;
+          result.googleStatus = googleError.status || null;
+        }
+      } catch (e) {
+        // 不是完整的 JSON，保留原始信息
+      }
+    }
+    return result;
+  }
+
+  _translateErrorToOpenAI(status, message) {
+    const googleError = this._parseGoogleError(status, message);
+    const typeMap = {
+      400: ["invalid_request_error", "invalid_request_error"],
+      401: ["authentication_error", "invalid_api_key"],
+      403: ["permission_error", "permission_denied"],
+      404: ["invalid_request_error", "not_found"],
+      413: ["invalid_request_error", "request_too_large"],
+      429: ["rate_limit_error", "rate_limit_exceeded"],
+      503: ["server_error", "service_unavailable"],
+      504: ["server_error", "timeout"],
+    };
+    // 未列出的状态码按类别归类，code 使用 Google 的错误状态名 (如 failed_precondition)
+    const fallbackCode = googleError.googleStatus
+      ? googleError.googleStatus.toLowerCase()
+      : null;
+    const [type, code] =
+      typeMap[googleError.status] ||
+      (googleError.status >= 500
+        ? ["server_error", fallbackCode || "server_error"]
+        : ["invalid_request_error", fallbackCode || "invalid_request_error"]);
+    return {
+      status: googleError.status,
+      error: { message: googleError.message, type, param: null, code },
+    };
+  }
+
+  // OpenAI 风格的错误响应；流已开始时以 data 事件的形式发送 error 对象并结束流
+  _sendOpenAIError(res, status, message, code = null) {
+    const { status: httpStatus, error } = this._translateErrorToOpenAI(
+      status,
+      message
+    );
+    if (code) error.code = code;
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        res.write(`data: ${JSON.stringify({ error })}\n\n`);
+        res.end();
+      }
+      return;
+    }
+    res.status(httpStatus).json({ error });
+  }
+
+  _handleOpenAIRequestError(error, res) {
+    this.logger.error(`[Request] 请求处理错误: ${error.message}`);
+    const status =
+      error.status || (error.message === "Queue timeout" ? 504 : 500);
+    this._sendOpenAIError(res, status, error.message, error.code);
+  }
+
+  _translateFinishReasonToOpenAI(finishReason, hasToolCalls) {
+    if (!finishReason) return null;
+    if (hasToolCalls) return "tool_calls";
+    switch (finishReason) {
+      case "MAX_TOKENS":
+        return "length";
+      case "SAFETY":
+      case "RECITATION":
+      case "BLOCKLIST":
+      case "PROHIBITED_CONTENT":
+      case "SPII":
+      case "IMAGE_SAFETY":
+        return "content_filter";
+      default:
+        return "stop";
+    }
+  }
+
+  _sendErrorResponse(res, status, message) {
+    if (!res.headersSent) {
+      // 1. 创建一个符合API规范的JSON错误对象
+      const statusNames = {
+        400: "INVALID_ARGUMENT",
+        401: "UNAUTHENTICATED",
+        403: "PERMISSION_DENIED",
+        404: "NOT_FOUND",
+        429: "RESOURCE_EXHAUSTED",
+        500: "INTERNAL",
+        503: "UNAVAILABLE",
+        504: "DEADLINE_EXCEEDED",
+      };
+      const errorPayload = {
+        error: {
+          code: status || 500,
+          message: message,
+          status: statusNames[status] || "UNAVAILABLE",
+        },
+      };
+      // 2. 设置响应类型为 application/json 并发送
+      res
+        .status(status || 500)
+        .type("application/json")
+        .send(JSON.stringify(errorPayload));
+    }
+  }
+
+  // 翻译前的消息规整：developer 视为 system，带 name 的 user 消息加上说话人前缀，
+  // 去掉空内容 (Gemini 拒绝空的 text part)，并按配置处理末尾的 assistant 预填充
+  _normalizeOpenAIMessages(openaiBody) {
+    const isBlankText = (text) => typeof text !== "string" || !text.trim();
+    const messages = [];
+    for (const original of openaiBody.messages || []) {
+      const message = { ...original };
+      if (message.role === "developer") message.role = "system";
+      if (Array.isArray(message.content)) {
+        message.content = message.content.filter(
+          (part) => part.type !== "text" || !isBlankText(part.text)
+        );
+        // system 指令只接受纯文本
+        if (message.role === "system") {
+          message.content = message.content
+            .map((part) => part.text || "")
+            .join("\n");
+        }
+      }
+      if (message.role === "user" && message.name) {
+        message.content = Array.isArray(message.content)
+          ? [{ type: "text", text: `${message.name}:` }, ...message.content]
+          : `${message.name}: ${message.content || ""}`;
+      }
+
+      const isEmpty = Array.isArray(message.content)
+        ? message.content.length === 0
+        : isBlankText(message.content);
+      if (message.role !== "tool" && isEmpty && !message.tool_calls?.length) {
+        continue;
+      }
+      messages.push(message);
+    }
+
+    // 末尾是 assistant 消息时视为预填充：continue 追加续写指令，drop 丢弃，none 原样发送。
+    // Gemini 没有真正的预填充，continue 模式下 assistant 文本作为上一轮回复保留，
+    // 再追加一条要求续写的 user 消息；返回内容只包含续写部分 (与 Anthropic 的预填充一致)，
+    // 不会拼上预填充文本，需要完整文本的客户端自行拼接。
+    // 请求中显式的 continue_final_message (true/false) 优先于配置
+    const lastMessage = messages[messages.length - 1];
+    let prefillMode = this.config.assistantPrefillMode;
+    if (typeof openaiBody.continue_final_message === "boolean") {
+      prefillMode = openaiBody.continue_final_message ? "continue" : "none";
+    }
+    if (lastMessage?.role === "assistant" && !lastMessage.tool_calls?.length) {
+      if (prefillMode === "drop") {
+        messages.pop();
+      } else if (prefillMode === "continue") {
+        messages.push({
+          role: "user",
+          content:
+            "Continue your previous response from exactly where it stopped. Do not repeat any of it.",
+        });
+      }
+    }
+    return messages;
+  }
+
+  // 把 OpenAI 消息中的内容块转换为 Gemini part；无法识别的类型返回 400，而不是静默丢弃
+  _translateOpenAIContentPart(part, apiKey = null) {
+    switch (part.type) {
+      case "text":
+        return { text: part.text };
+      case "refusal":
+        return { text: part.refusal };
+      case "image_url": {
+        // http(s) 链接已在翻译前由 _fetchRemoteImages 下载为 data URL
+        const inlineData = this._parseDataUrl(part.image_url?.url);
+        if (!inlineData) {
+          throw this._createClientError(
+            /^https?:\/\//i.test(part.image_url?.url || "")
+              ? "Remote image URLs are disabled on this server. Use a base64 data URL."
+              : "Unsupported image URL. Use a base64 data URL or an http(s) URL."
+          );
+        }
+        inlineData.mimeType =
+          inlineData.mimeType || this._sniffBase64MimeType(inlineData.data);
+        return { inlineData };
+      }
+      case "input_audio": {
+        const mimeType = { wav: "audio/wav", mp3: "audio/mp3" }[
+          part.input_audio?.format
+        ];
+        if (!mimeType || !part.input_audio?.data) {
+          throw this._createClientError(
+            `Unsupported input_audio format: '${part.input_audio?.format}'. Supported formats: wav, mp3.`
+          );
+        }
+        return { inlineData: { mimeType, data: part.input_audio.data } };
+      }
+      case "file":
+        return {
+          inlineData: this._translateOpenAIFileToInlineData(
+            part.file || {},
+            apiKey
+          ),
+        };
+      default:
+        throw this._createClientError(
+          `Unsupported content part type: '${part.type}'.`
+        );
+    }
+  }
+
+  // file 块：file_data (data URL 或纯 base64) 或通过 /v1/files 上传的 file_id (只能引用同一 Key 上传的文件)。
+  // MIME 依次取 data URL 声明、文件头识别、文件扩展名
+  _translateOpenAIFileToInlineData(file, apiKey = null) {
+    let data;
+    let mimeType = null;
+    let fileName = file.filename || "";
+    if (file.file_data) {
+      const parsed = this._parseDataUrl(file.file_data);
+      data = parsed ? parsed.data : file.file_data;
+      mimeType = parsed?.mimeType || null;
+    } else if (file.file_id) {
+      const batchManager = this.serverSystem.batchManager;
+      let stored;
+      try {
+        stored = batchManager.getFile(file.file_id, apiKey);
+      } catch (error) {
+        throw this._createClientError(`No such File object: ${file.file_id}`);
+      }
+      data = fs
+        .readFileSync(batchManager.filePath(stored.id))
+        .toString("base64");
+      fileName = fileName || stored.filename;
+    } else {
+      throw this._createClientError(
+        "'file' content parts require 'file_data' or 'file_id'."
+      );
+    }
+
+    const extensionTypes = {
+      pdf: "application/pdf",
+      txt: "text/plain",
+      md: "text/markdown",
+      csv: "text/csv",
+      html: "text/html",
+      htm: "text/html",
+      xml: "text/xml",
+      json: "application/json",
+    };
+    mimeType =
+      mimeType ||
+      this._sniffBase64MimeType(data) ||
+      extensionTypes[path.extname(fileName).slice(1).toLowerCase()];
+    if (!mimeType) {
+      throw this._createClientError(
+        `Cannot determine the type of file '${fileName || "unnamed"}'.`
+      );
+    }
+    return { mimeType, data };
+  }
+
+  _parseDataUrl(url) {
+    const match = /^data:([^;,]*)[^,]*;base64,(.*)$/s.exec(url || "");
+    return match ? { mimeType: match[1] || null, data: match[2] } : null;
+  }
+
+  _sniffBase64MimeType(data) {
+    return this._sniffMimeType(Buffer.from(data.slice(0, 64), "base64"));
+  }
+
+  // 按文件头识别常见的图片、音频和 PDF 格式
+  _sniffMimeType(buffer) {
+    const header = buffer.toString("latin1", 0, 12);
+    if (header.startsWith("%PDF")) return "application/pdf";
+    if (header.startsWith("\x89PNG")) return "image/png";
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+      return "image/jpeg";
+    }
+    if (header.startsWith("GIF8")) return "image/gif";
+    if (header.startsWith("RIFF") && header.slice(8, 12) === "WEBP") {
+      return "image/webp";
+    }
+    if (header.startsWith("RIFF") && header.slice(8, 12) === "WAVE") {
+      return "audio/wav";
+    }
+    // MPEG 帧同步字后的 layer 位区分 MP3 (Layer III) 与 AAC ADTS (layer 为 0)
+    if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) {
+      return "audio/aac";
+    }
+    if (
+      header.startsWith("ID3") ||
+      (buffer[0] === 0xff &&
+        (buffer[1] & 0xe0) === 0xe0 &&
+        (buffer[1] & 0x06) === 0x02)
+    ) {
+      return "audio/mp3";
+    }
+    return null;
+  }
+
+  // image_url 中的 http(s) 链接由服务端下载并替换为 data URL (Gemini 无法直接读取任意链接)
+  async _fetchRemoteImages(openaiBody) {
+    if (!this.config.remoteMediaFetch) return;
+    const remoteParts = (openaiBody.messages || [])
+      .flatMap((message) =>
+        Array.isArray(message.content) ? message.content : []
+      )
+      .filter(
+        (part) =>
+          part.type === "image_url" &&
+          /^https?:\/\//i.test(part.image_url?.url || "")
+      );
+    await Promise.all(
+      remoteParts.map(async (part) => {
+        const { mimeType, data } = await this._fetchRemoteImage(
+          part.image_url.url
+        );
+        part.image_url = {
+          ...part.image_url,
+          url: `data:${mimeType};base64,${data}`,
+        };
+      })
+    );
+  }
+
+  async _fetchRemoteImage(url) {
+    const maxBytes = this.config.remoteMediaMaxMB * 1024 * 1024;
+    const tooLarge = () =>
+      this._createClientError(
+        `Image at '${url}' exceeds the ${this.config.remoteMediaMaxMB} MB limit.`
+      );
+    let buffer;
+    let declaredType;
+    try {
+      const response = await this._requestPublicUrl(url);
+      // 不跟随重定向 (跳转目标可能是内网地址)
+      if (response.statusCode !== 200) {
+        response.resume();
+        throw new Error(`HTTP ${response.statusCode}`);
+      }
+      if (Number(response.headers["content-length"]) > maxBytes) {
+        response.destroy();
+        throw tooLarge();
+      }
+      declaredType = (response.headers["content-type"] || "")
+        .split(";")[0]
+        .trim();
+      // 边下载边计数，超出上限立即中断
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          response.destroy();
+          throw tooLarge();
+        }
+        chunks.push(chunk);
+      }
+      buffer = Buffer.concat(chunks);
+    } catch (error) {
+      if (error.status) throw error;
+      // 具体原因只记录在服务端日志，避免把连接结果回显给客户端
+      this.logger.warn(`[Media] 下载图片 ${url} 失败: ${error.message}`);
+      throw this._createClientError(`Failed to download image from '${url}'.`);
+    }
+
+    // 以文件头为准，服务器声明的 Content-Type 只作为兜底
+    const mimeType =
+      this._sniffMimeType(buffer) ||
+      (declaredType.startsWith("image/") ? declaredType : null);
+    if (!mimeType?.startsWith("image/")) {
+      throw this._createClientError(
+        `The URL '${url}' did not return a supported image.`
+      );
+    }
+    return { mimeType, data: buffer.toString("base64") };
+  }
+
+  // 只允许连接公网地址。IP 字面量直接检查，域名在建立连接时检查解析结果，
+  // 避免先检查、后重新解析到内网地址 (DNS rebinding)
+  _requestPublicUrl(url) {
+    const { protocol, hostname } = new URL(url);
+    const literalAddress = hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(literalAddress) && this._isPrivateAddress(literalAddress)) {
+      return Promise.reject(new Error(`拒绝访问内网地址 ${literalAddress}`));
+    }
+    const lookup = (host, options, callback) => {
+      dns.lookup(host, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address : [{ address }];
+        const blocked = addresses.find((entry) =>
+          this._isPrivateAddress(entry.address)
+        );
+        if (blocked) {
+          return callback(
+            new Error(`拒绝访问内网地址 ${host} (${blocked.address})`)
+          );
+        }
+        callback(null, address, family);
+      });
+    };
+    const client = protocol === "https:" ? https : http;
+    return new Promise((resolve, reject) => {
+      client
+        .get(url, { lookup, signal: AbortSignal.timeout(15000) }, resolve)
+        .on("error", reject);
+    });
+  }
+
+  // 回环、私有、链路本地 (含 169.254.169.254 元数据服务)、CGNAT、组播、保留地址，
+  // 以及可内嵌任意 IPv4 地址的 NAT64、6to4 和 Teredo 地址
+  // (BlockList 会按 IPv4 规则检查 ::ffff:127.0.0.1 这类 IPv4 映射地址)
+  _isPrivateAddress(address) {
+    if (!this.privateAddressList) {
+      const list = new net.BlockList();
+      for (const [network, prefix] of [
+        ["0.0.0.0", 8],
+        ["10.0.0.0", 8],
+        ["100.64.0.0", 10],
+        ["127.0.0.0", 8],
+        ["169.254.0.0", 16],
+        ["172.16.0.0", 12],
+        ["192.0.0.0", 24],
+        ["192.168.0.0", 16],
+        ["198.18.0.0", 15],
+        ["224.0.0.0", 4],
+        ["240.0.0.0", 4],
+      ]) {
+        list.addSubnet(network, prefix, "ipv4");
+      }
+      for (const [network, prefix] of [
+        ["::", 128],
+        ["::1", 128],
+        ["64:ff9b::", 96],
+        ["2001::", 32],
+        ["2002::", 16],
+        ["fc00::", 7],
+        ["fe80::", 10],
+        ["ff00::", 8],
+      ]) {
+        list.addSubnet(network, prefix, "ipv6");
+      }
+      this.privateAddressList = list;
+    }
+    const family = net.isIP(address);
+    if (!family) return true;
+    return this.privateAddressList.check(
+      address,
+      family === 4 ? "ipv4" : "ipv6"
+    );
+  }
+
+  _translateOpenAIToGoogle(openaiBody, modelName = "", apiKey = null) {
+    this.logger.info("[Adapter] 开始将OpenAI请求格式翻译为Google格式...");
+
+    let systemInstruction = null;
+    const googleContents = [];
+    const messages = this._normalizeOpenAIMessages(openaiBody);
+
+    // 1. 分离出 system 指令
+    const systemMessages = messages.filter((msg) => msg.role === "system");
+    if (systemMessages.length > 0) {
+      // 将所有 system message 的内容合并
+      const systemContent = systemMessages.map((msg) => msg.content).join("\n");
+      systemInstruction = {
+        // Google Gemini 1.5 Pro 开始正式支持 system instruction
+        role: "system",
+        parts: [{ text: systemContent }],
+      };
+    }
+
+    // 2. 转换 user 和 assistant 消息
+    const conversationMessages = messages.filter(
+      (msg) => msg.role !== "system"
+    );
+    // tool_call_id -> 函数名，tool 消息本身不带函数名，需要从之前的 assistant 轮次中查回
+    const toolCallNames = new Map();
+    for (const message of conversationMessages) {
+      // 工具执行结果：转换为 functionResponse，与相邻的 user 轮次合并
+      if (message.role === "tool") {
+        const responsePart = this._buildFunctionResponsePart(
+          message,
+          toolCallNames
+        );
+        const lastContent = googleContents[googleContents.length - 1];
+        if (lastContent && lastContent.role === "user") {
+          lastContent.parts.push(responsePart);
+        } else {
+          googleContents.push({ role: "user", parts: [responsePart] });
+        }
+        continue;
+      }
+
+      const googleParts = [];
+
+      // [核心改进] 判断 content 是字符串还是数组
+      if (typeof message.content === "string") {
+        // a. 如果是纯文本 (带工具调用的 assistant 轮次常以空字符串占位，跳过)
+        if (message.content.trim()) {
+          googleParts.push({ text: message.content });
+        }
+      } else if (Array.isArray(message.content)) {
+        // b. 如果是多模态内容 (文本、图片、音频、文件)
+        for (const part of message.content) {
+          googleParts.push(this._translateOpenAIContentPart(part, apiKey));
+        }
+      }
+
+      // c. assistant 发起的工具调用：还原为 functionCall
+      if (message.role === "assistant" && Array.isArray(message.tool_calls)) {
+        message.tool_calls.forEach((toolCall, i) => {
+          googleParts.push(
+            this._buildFunctionCallPart(toolCall, modelName, i === 0)
+          );
+          toolCallNames.set(toolCall.id, toolCall.function?.name);
+        });
+      }
+
+      const role = message.role === "assistant" ? "model" : "user";
+      const lastContent = googleContents[googleContents.length - 1];
+      // 相邻的同角色消息合并为一个轮次 (Gemini 要求 user / model 交替)
+      if (lastContent && lastContent.role === role) {
+        lastContent.parts.push(...googleParts);
+      } else {
+        googleContents.push({ role, parts: googleParts });
+      }
+    }
+    // 对话为空或以 model 开头时补一个 user 轮次作为占位
+    if (googleContents.length === 0 || googleContents[0].role !== "user") {
+      googleContents.unshift({ role: "user", parts: [{ text: "Continue." }] });
+    }
+
+    // 3. 构建最终的Google请求体
+    const googleRequest = {
+      contents: googleContents,
+      ...(systemInstruction && {
+        systemInstruction: { parts: systemInstruction.parts },
+      }),
+    };
+
+    // 3.1 工具声明与调用策略
+    const functionDeclarations = this._translateOpenAIToolsToGoogle(
+      openaiBody.tools
+    );
+    if (functionDeclarations.length > 0) {
+      googleRequest.tools = [{ functionDeclarations }];
+      this.logger.info(
+        `[Adapter] 已转换 ${functionDeclarations.length} 个函数声明。`
+      );
+    }
+    const builtinTools = this._translateBuiltinToolsToGoogle(openaiBody);
+    if (builtinTools.length > 0) {
+      googleRequest.tools = [...(googleRequest.tools || []), ...builtinTools];
+      this.logger.info(
+        `[Adapter] 已启用内置工具: ${builtinTools
+          .map((tool) => Object.keys(tool)[0])
+          .join(", ")}`
+      );
+    }
+    const toolConfig = this._translateToolChoiceToGoogle(
+      openaiBody.tool_choice
+    );
+    if (toolConfig) {
+      googleRequest.toolConfig = toolConfig;
+    }
+
+    // 4. 转换生成参数
+    const generationConfig = {
+      temperature: openaiBody.temperature,
+      topP: openaiBody.top_p,
+      topK: openaiBody.top_k,
+      // max_completion_tokens 是新版本 OpenAI 对 max_tokens 的替代
+      maxOutputTokens:
+        openaiBody.max_completion_tokens ?? openaiBody.max_tokens,
+      stopSequences:
+        typeof openaiBody.stop === "string"
+          ? [openaiBody.stop]
+          : openaiBody.stop,
+      presencePenalty: openaiBody.presence_penalty,
+      frequencyPenalty: openaiBody.frequency_penalty,
+      seed: openaiBody.seed,
+    };
+    if (openaiBody.n !== undefined && openaiBody.n !== 1) {
+      generationConfig.candidateCount = openaiBody.n;
+    }
+    if (
+      openaiBody.top_logprobs !== undefined &&
+      openaiBody.top_logprobs !== null
+    ) {
+      if (!openaiBody.logprobs) {
+        throw this._createClientError(
+          "'logprobs' must be set to true when 'top_logprobs' is used."
+        );
+      }
+      if (
+        !Number.isInteger(openaiBody.top_logprobs) ||
+        openaiBody.top_logprobs < 0 ||
+        openaiBody.top_logprobs > 20
+      ) {
+        throw this._createClientError(
+          "'top_logprobs' must be an integer between 0 and 20."
+        );
+      }
+    }
+    if (openaiBody.logprobs) {
+      generationConfig.responseLogprobs = true;
+      if (typeof openaiBody.top_logprobs === "number") {
+        generationConfig.logprobs = openaiBody.top_logprobs;
+      }
+    }
+
+    // 结构化输出 (response_format)
+    Object.assign(
+      generationConfig,
+      this._translateResponseFormatToGoogle(openaiBody.response_format)
+    );
+
+    const extraBody = openaiBody.extra_body || {};
+    let rawThinkingConfig =
+      extraBody.google?.thinking_config ||
+      extraBody.google?.thinkingConfig ||
+      extraBody.thinkingConfig ||
+      extraBody.thinking_config ||
+      openaiBody.thinkingConfig ||
+      openaiBody.thinking_config;
+
+    let thinkingConfig = null;
+
+    if (rawThinkingConfig) {
+      // 2. 格式清洗：将 snake_case (下划线) 转换为 camelCase (驼峰)
+      thinkingConfig = {};
+      const fieldMap = {
+        include_thoughts: "includeThoughts",
+        thinking_budget: "thinkingBudget",
+        thinking_level: "thinkingLevel",
+      };
+      for (const [snakeName, camelName] of Object.entries(fieldMap)) {
+        const value =
+          rawThinkingConfig[camelName] ?? rawThinkingConfig[snakeName];
+        if (value !== undefined) {
+          thinkingConfig[camelName] = value;
+        }
+      }
+
+      // 预算为 0 表示关闭思考，此时不能再要求返回思考内容
+      if (thinkingConfig.thinkingBudget === 0) {
+        delete thinkingConfig.includeThoughts;
+      }
+
+      this.logger.info(
+        `[Adapter] 成功提取并转换推理配置: ${JSON.stringify(thinkingConfig)}`
+      );
+    }
+
+    // 3. 如果没找到配置，尝试识别 OpenAI 标准参数 'reasoning_effort'
+    if (!thinkingConfig) {
+      const effort = openaiBody.reasoning_effort || extraBody.reasoning_effort;
+      if (effort) {
+        thinkingConfig = this._translateReasoningEffortToGoogle(
+          modelName,
+          effort
+        );
+        this.logger.info(
+          `[Adapter] 检测到 OpenAI 标准推理参数 (reasoning_effort: ${effort})，已转换为: ${JSON.stringify(
+            thinkingConfig
+          )}`
+        );
+      }
+    }
+
+    // 4. 强制开启逻辑 (WebUI开关)
+    if (this.serverSystem.forceThinking && !thinkingConfig) {
+      this.logger.info(
+        "[Adapter] ⚠️ 强制推理已启用，且客户端未提供配置，正在注入 thinkingConfig..."
+      );
+      thinkingConfig = { includeThoughts: true };
+    }
+
+    // 5. 写入最终配置
+    if (thinkingConfig) {
+      generationConfig.thinkingConfig = thinkingConfig;
+    }
+
+    googleRequest.generationConfig = generationConfig;
+    this._applyModelDefaults(googleRequest, openaiBody.model);
+
+    // 5. 安全设置
+    googleRequest.safetySettings = this._buildSafetySettings(
+      modelName,
+      apiKey,
+      extraBody.google?.safety_settings || extraBody.google?.safetySettings,
+      openaiBody.model
+    );
+
+    this.logger.info("[Adapter] 翻译完成。");
+    return googleRequest;
+  }
+
+  // 思考内容的输出方式：reasoning_content 字段 / <think> 标签并入正文 / 丢弃。
+  // 优先级：请求参数 > API Key 专属配置 > 全局配置
+  _resolveReasoningOutputMode(req) {
+    const requestMode =
+      req.body.reasoning_output_mode ||
+      req.body.extra_body?.reasoning_output_mode;
+    const mode =
+      requestMode ||
+      this.config.apiKeyReasoningOutputModes?.[req.apiKey] ||
+      this.config.reasoningOutputMode ||
+      "reasoning_content";
+    if (!["reasoning_content", "think_tags", "none"].includes(mode)) {
+      throw this._createClientError(
+        `Unsupported reasoning_output_mode '${mode}'. Expected one of: reasoning_content, think_tags, none.`
+      );
+    }
+    return mode;
+  }
+
+  // 生成图片的输出方式：markdown (默认，内嵌在文本中) / content_parts (OpenAI content-part 数组)
+  _resolveImageOutputMode(req) {
+    const mode =
+      req.body.image_output_mode ||
+      req.body.extra_body?.image_output_mode ||
+      "markdown";
+    if (!["markdown", "content_parts"].includes(mode)) {
+      throw this._createClientError(
+        `Unsupported image_output_mode '${mode}'. Expected one of: markdown, content_parts.`
+      );
+    }
+    return mode;
+  }
+
+  // 流结束时仍处于 <think> 中的 choice 需要补发闭合标签
+  _buildThinkCloseChunks(requestId, modelName, streamState) {
+    return Object.keys(streamState.inThought || {})
+      .filter((index) => streamState.inThought[index])
+      .map((index) => {
+        streamState.inThought[index] = false;
+        const closeThoughtPayload = {
+          id: `chatcmpl-${requestId}`,
+          object: "chat.completion.chunk",
+          created: Math.floor(Date.now() / 1000),
+          model: modelName,
+          choices: [
+            {
+              index: Number(index),
+              delta: { content: "\n</think>\n" },
+              finish_reason: null,
+            },
+          ],
+        };
+        if (streamState.includeUsage) closeThoughtPayload.usage = null;
+        return `data: ${JSON.stringify(closeThoughtPayload)}\n\n`;
+      })
+      .join("");
+  }
+
+  // reasoning_effort -> thinkingConfig。取值为数字时映射为 thinkingBudget (2.5 系列)，
+  // 为字符串时映射为 thinkingLevel (gemini-3 系列)；可在 models.json 中按模型覆盖。
+  _translateReasoningEffortToGoogle(modelName, effort) {
+    const mapping =
+      this.config.modelSettings?.[modelName]?.reasoningEffort ||
+      (modelName.includes("gemini-3")
+        ? {
+            none: "low",
+            minimal: "low",
+            low: "low",
+            medium: "high",
+            high: "high",
+          }
+        : { none: 0, minimal: 512, low: 1024, medium: 8192, high: 24576 });
+    const value = mapping[effort];
+    if (value === undefined) {
+      throw this._createClientError(
+        `Unsupported reasoning_effort '${effort}'. Expected one of: ${Object.keys(
+          mapping
+        ).join(", ")}.`
+      );
+    }
+    if (typeof value === "string") {
+      return { includeThoughts: true, thinkingLevel: value };
+    }
+    return value === 0
+      ? { thinkingBudget: 0 }
+      : { includeThoughts: true, thinkingBudget: value };
+  }
+
+  // 已处理 (或可以安全忽略) 的 OpenAI 参数，其余参数会在日志中给出警告而不是静默丢弃
+  // 返回被忽略的参数名，由调用方通过 X-Ignored-Params 响应头告知客户端
+  _warnUnsupportedOpenAIParams(openaiBody) {
+    const handledParams = new Set([
+      "model",
+      "messages",
+      "stream",
+      "stream_options",
+      "temperature",
+      "top_p",
+      "top_k",
+      "max_tokens",
+      "max_completion_tokens",
+      "stop",
+      "n",
+      "presence_penalty",
+      "frequency_penalty",
+      "seed",
+      "logprobs",
+      "top_logprobs",
+      "tools",
+      "tool_choice",
+      "response_format",
+      "reasoning_effort",
+      "web_search_options",
+      "reasoning_output_mode",
+      "image_output_mode",
+      "continue_final_message",
+      "extra_body",
+      "thinkingConfig",
+      "thinking_config",
+      "user",
+    ]);
+    const unsupportedParams = Object.keys(openaiBody).filter(
+      (key) => !handledParams.has(key) && openaiBody[key] !== undefined
+    );
+    if (unsupportedParams.length > 0) {
+      this.logger.warn(
+        `[Adapter] ⚠️ 以下 OpenAI 参数暂不支持，已忽略: ${unsupportedParams.join(
+          ", "
+        )}`
+      );
+    }
+    return unsupportedParams;
+  }
+
+  // Google 的 logprobsResult -> OpenAI 的 choice.logprobs
+  _translateLogprobsToOpenAI(logprobsResult) {
+    if (!logprobsResult) return null;
+    const topCandidates = logprobsResult.topCandidates || [];
+    const toEntry = (candidate) => ({
+      token: candidate.token,
+      logprob: candidate.logProbability,
+      bytes: Array.from(Buffer.from(candidate.token || "", "utf8")),
+    });
+    return {
+      content: (logprobsResult.chosenCandidates || []).map((chosen, i) => ({
+        ...toEntry(chosen),
+        top_logprobs: (topCandidates[i]?.candidates || []).map(toEntry),
+      })),
+      refusal: null,
+    };
+  }
+
+  _translateGoogleCandidateToOpenAIChoice(
+    candidate,
+    fallbackIndex,
+    reasoningMode = "reasoning_content",
+    imageMode = "markdown"
+  ) {
+    const message = { role: "assistant", content: "" };
+    let hasToolCalls = false;
+
+    if (candidate.content && Array.isArray(candidate.content.parts)) {
+      // 正文和图片按原始顺序保留为片段，最后按 imageMode 组装
+      const segments = [];
+      let reasoningContent = "";
+      const toolCalls = [];
+
+      candidate.content.parts.forEach((p) => {
+        if (p.functionCall) {
+          toolCalls.push(this._translateFunctionCallToOpenAI(p));
+        } else if (p.thought) {
+          reasoningContent += p.text || "";
+        } else if (p.inlineData) {
+          segments.push(this._translateInlineDataToOpenAIPart(p.inlineData));
+        } else if (p.text || p.executableCode || p.codeExecutionResult) {
+          segments.push({ type: "text", text: this._renderPartAsText(p) });
+        }
+      });
+
+      if (reasoningContent && reasoningMode === "reasoning_content") {
+        message.reasoning_content = reasoningContent;
+      } else if (reasoningContent && reasoningMode === "think_tags") {
+        segments.unshift({
+          type: "text",
+          text: `<think>\n${reasoningContent}\n</think>\n`,
+        });
+      }
+      message.content = this._buildOpenAIMessageContent(segments, imageMode);
+
+      const annotations = this._translateGroundingToAnnotations(
+        candidate.groundingMetadata,
+        typeof message.content === "string"
+          ? message.content
+          : segments
+              .filter((s) => s.type === "text")
+              .map((s) => s.text)
+              .join("")
+      );
+      if (annotations.length > 0) {
+        message.annotations = annotations;
+        this.logger.info(
+          `[Adapter] 已附加 ${annotations.length} 条搜索引用 (annotations)。`
+        );
+      }
+
+      const imageCount = segments.filter((s) => s.type === "image_url").length;
+      if (imageCount > 0) {
+        this.logger.info(
+          `[Adapter] 从 parts.inlineData 中成功解析到 ${imageCount} 张图片。`
+        );
+      }
+      if (toolCalls.length > 0) {
+        // OpenAI 规范：纯工具调用轮次的 content 为 null
+        if (segments.length === 0) message.content = null;
+        message.tool_calls = toolCalls;
+        hasToolCalls = true;
+        this.logger.info(
+          `[Adapter] 从响应中解析到 ${toolCalls.length} 个工具调用。`
+        );
+      }
+    }
+
+    return {
+      index: candidate.index ?? fallbackIndex,
+      message,
+      logprobs: this._translateLogprobsToOpenAI(candidate.logprobsResult),
+      finish_reason: this._translateFinishReasonToOpenAI(
+        candidate.finishReason,
+        hasToolCalls
+      ),
+    };
+  }
+
+  // hosted_url 模式下图片落盘并返回 /media 链接，其余模式使用 data URL
+  // (OpenAI 等兼容接口无法表达原始 inlineData，inline_data 模式同样回退为 data URL)
+  _inlineDataToUrl(inlineData, forceHosted = false) {
+    const mediaStore = this.serverSystem.mediaStore;
+    if (
+      mediaStore &&
+      (forceHosted || this.config.mediaOutputMode === "hosted_url")
+    ) {
+      try {
+        return mediaStore.save(inlineData);
+      } catch (error) {
+        this.logger.error(
+          `[Media] 保存图片失败，回退为 data URL: ${error.message}`
+        );
+      }
+    }
+    return `data:${inlineData.mimeType};base64,${inlineData.data}`;
+  }
+
+  _translateInlineDataToOpenAIPart(inlineData) {
+    return {
+      type: "image_url",
+      image_url: { url: this._inlineDataToUrl(inlineData) },
+    };
+  }
+
+  // 代码执行的代码与结果渲染为 Markdown 代码块，图片渲染为 Markdown 图片，其余返回文本
+  _renderPartAsText(part) {
+    if (part.executableCode) {
+      const language = (part.executableCode.language || "").toLowerCase();
+      return `\n\`\`\`${language === "language_unspecified" ? "" : language}\n${
+        part.executableCode.code
+      }\n\`\`\`\n`;
+    }
+    if (part.codeExecutionResult) {
+      const { outcome, output } = part.codeExecutionResult;
+      const status =
+        outcome && outcome !== "OUTCOME_OK" ? `(${outcome})\n` : "";
+      return `\n\`\`\`output\n${output || ""}\n\`\`\`\n${status}`;
+    }
+    if (part.inlineData) {
+      return `![Generated Image](${this._inlineDataToUrl(part.inlineData)})`;
+    }
+    return part.text || "";
+  }
+
+  // groundingMetadata -> OpenAI url_citation 注解。Google 的片段索引是字节偏移，
+  // 这里直接在正文中查找片段文本来得到字符区间；找不到对应片段时引用整段正文
+  _translateGroundingToAnnotations(groundingMetadata, text) {
+    const chunks = groundingMetadata?.groundingChunks || [];
+    if (chunks.length === 0) return [];
+    const toAnnotation = (chunkIndex, startIndex, endIndex) => {
+      const source =
+        chunks[chunkIndex]?.web || chunks[chunkIndex]?.retrievedContext;
+      if (!source?.uri) return null;
+      return {
+        type: "url_citation",
+        url_citation: {
+          start_index: startIndex,
+          end_index: endIndex,
+          url: source.uri,
+          title: source.title || source.uri,
+        },
+      };
+    };
+
+    const annotations = [];
+    for (const support of groundingMetadata.groundingSupports || []) {
+      const segmentText = support.segment?.text;
+      const startIndex = segmentText ? text.indexOf(segmentText) : -1;
+      if (startIndex < 0) continue;
+      for (const chunkIndex of support.groundingChunkIndices || []) {
+        const annotation = toAnnotation(
+          chunkIndex,
+          startIndex,
+          startIndex + segmentText.length
+        );
+        if (annotation) annotations.push(annotation);
+      }
+    }
+    if (annotations.length === 0) {
+      chunks.forEach((chunk, chunkIndex) => {
+        const annotation = toAnnotation(chunkIndex, 0, text.length);
+        if (annotation) annotations.push(annotation);
+      });
+    }
+    return annotations;
+  }
+
+  // markdown 模式下拼接为字符串；content_parts 模式下只要包含图片就返回
+  // OpenAI 的 content-part 数组 (相邻文本合并)，纯文本仍返回字符串以保持兼容
+  _buildOpenAIMessageContent(segments, imageMode = "markdown") {
+    const hasImage = segments.some((s) => s.type === "image_url");
+    if (imageMode !== "content_parts" || !hasImage) {
+      return segments
+        .map((s) =>
+          s.type === "text" ? s.text : `![Generated Image](${s.image_url.url})`
+        )
+        .join("");
+    }
+    const contentParts = [];
+    for (const segment of segments) {
+      const lastPart = contentParts[contentParts.length - 1];
+      if (segment.type === "text" && lastPart?.type === "text") {
+        lastPart.text += segment.text;
+      } else {
+        contentParts.push({ ...segment });
+      }
+    }
+    return contentParts;
+  }
+
+  // models.json 中带 target 的条目是别名，解析为目标模型；非别名原样返回
+  _resolveModelAlias(modelName) {
+    const alias = this.config.modelSettings?.[modelName];
+    if (!alias?.target) {
+      return { model: modelName, alias: null };
+    }
+    this.logger.info(`[Adapter] 模型别名 ${modelName} -> ${alias.target}`);
+    return { model: alias.target, alias };
+  }
+
+  // 用别名的 generationConfig 填补请求中未设置的字段 (thinkingConfig 等对象再逐键补齐)
+  _applyModelDefaults(googleRequest, aliasName) {
+    const defaults = this.config.modelSettings?.[aliasName];
+    if (!defaults?.target || !defaults.generationConfig) return;
+    const generationConfig = (googleRequest.generationConfig =
+      googleRequest.generationConfig || {});
+    for (const [key, value] of Object.entries(defaults.generationConfig)) {
+      if (generationConfig[key] === undefined) {
+        generationConfig[key] = value;
+      } else if (
+        value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        typeof generationConfig[key] === "object"
+      ) {
+        let defaultValue = value;
+        // thinkingLevel 与 thinkingBudget 不能同时出现，请求已指定其一时不再补另一个
+        if (
+          key === "thinkingConfig" &&
+          (generationConfig[key].thinkingLevel !== undefined ||
+            generationConfig[key].thinkingBudget !== undefined)
+        ) {
+          const { thinkingLevel, thinkingBudget, ...rest } = value;
+          defaultValue = rest;
+        }
+        generationConfig[key] = { ...defaultValue, ...generationConfig[key] };
+      }
+    }
+  }
+
+  // 安全设置按 全局 -> 模型 -> 别名 -> API Key -> 请求 的顺序逐个类别覆盖
+  _buildSafetySettings(
+    modelName = "",
+    apiKey = null,
+    requestSettings = null,
+    aliasName = null
+  ) {
+    const alias = this.config.modelSettings?.[aliasName];
+    const merged = {
+      ...this._normalizeSafetySettings(this.config.safetySettings),
+      ...this._normalizeSafetySettings(
+        this.config.modelSafetySettings?.[modelName]
+      ),
+      ...this._normalizeSafetySettings(
+        alias?.target ? alias.safetySettings : null
+      ),
+      ...this._normalizeSafetySettings(
+        this.config.apiKeySafetySettings?.[apiKey]
+      ),
+      ...this._normalizeSafetySettings(requestSettings),
+    };
+    return Object.entries(merged).map(([category, threshold]) => ({
+      category,
+      threshold,
+    }));
+  }
+
+  // 支持三种写法：统一阈值字符串、{类别: 阈值} 对象、Google 原生的 [{category, threshold}] 数组
+  _normalizeSafetySettings(value) {
+    if (!value) return {};
+    if (typeof value === "string") {
+      return Object.fromEntries(
+        [
+          "HARM_CATEGORY_HARASSMENT",
+          "HARM_CATEGORY_HATE_SPEECH",
+          "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+          "HARM_CATEGORY_DANGEROUS_CONTENT",
+          "HARM_CATEGORY_CIVIC_INTEGRITY",
+        ].map((category) => [category, value])
+      );
+    }
+    if (Array.isArray(value)) {
+      return Object.fromEntries(
+        value.map((setting) => [setting.category, setting.threshold])
+      );
+    }
+    return { ...value };
+  }
+
+  // 提示词被拦截时 Google 不返回任何候选，转换为带拦截原因的 400 错误
+  _createPromptBlockedError(promptFeedback) {
+    const ratings = (promptFeedback.safetyRatings || [])
+      .filter(
+        (rating) =>
+          rating.blocked || !["NEGLIGIBLE", "LOW"].includes(rating.probability)
+      )
+      .map((rating) => `${rating.category}: ${rating.probability}`);
+    const error = new Error(
+      `The prompt was blocked by Gemini safety filters (blockReason: ${
+        promptFeedback.blockReason
+      }${ratings.length > 0 ? `; ${ratings.join(", ")}` : ""}).`
+    );
+    error.status = 400;
+    error.code = "content_filter";
+    return error;
+  }
+
+  _translateUsageToOpenAI(usageMetadata) {
+    if (!usageMetadata) return undefined;
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const thoughtsTokens = usageMetadata.thoughtsTokenCount || 0;
+    // OpenAI 的 completion_tokens 包含推理 token
+    const completionTokens =
+      (usageMetadata.candidatesTokenCount || 0) + thoughtsTokens;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens:
+        usageMetadata.totalTokenCount || promptTokens + completionTokens,
+      prompt_tokens_details: {
+        cached_tokens: usageMetadata.cachedContentTokenCount || 0,
+      },
+      completion_tokens_details: {
+        reasoning_tokens: thoughtsTokens,
+      },
+    };
+  }
+
+  _buildOpenAIUsageChunk(requestId, modelName, usageMetadata) {
+    const payload = {
+      id: `chatcmpl-${requestId}`,
+      object: "chat.completion.chunk",
+      created: Math.floor(Date.now() / 1000),
+      model: modelName,
+      choices: [],
+      usage: this._translateUsageToOpenAI(usageMetadata) || {
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+      },
+    };
+    return `data: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  _translateOpenAIToolsToGoogle(tools) {
+    if (!Array.isArray(tools)) return [];
+    return tools
+      .filter(
+        (tool) =>
+          tool &&
+          tool.type === "function" &&
+          tool.function &&
+          !this._getBuiltinToolName(tool)
+      )
+      .map((tool) => {
+        const declaration = {
+          name: tool.function.name,
+          description: tool.function.description || "",
+        };
+        // 无参函数不能带空的 parameters，否则 Google 会报错
+        const params = tool.function.parameters;
+        if (params && Object.keys(params.properties || {}).length > 0) {
+          declaration.parameters = this._convertJsonSchemaToGoogle(params, {
+            strict: tool.function.strict === true,
+            label: `tool '${tool.function.name}' parameters`,
+          });
+        }
+        return declaration;
+      });
+  }
+
+  // Gemini 内置工具的识别：OpenAI/Responses 的工具类型 (web_search 等)，
+  // 或者以 googleSearch / urlContext / codeExecution 命名的函数工具
+  _getBuiltinToolName(tool) {
+    const typeAliases = {
+      googleSearch: "googleSearch",
+      google_search: "googleSearch",
+      web_search: "googleSearch",
+      web_search_preview: "googleSearch",
+      urlContext: "urlContext",
+      url_context: "urlContext",
+      codeExecution: "codeExecution",
+      code_execution: "codeExecution",
+      code_interpreter: "codeExecution",
+    };
+    if (typeof tool === "string") return typeAliases[tool] || null;
+    if (!tool) return null;
+    if (tool.type === "function") {
+      const name = tool.function?.name;
+      return ["googleSearch", "urlContext", "codeExecution"].includes(name)
+        ? name
+        : null;
+    }
+    return typeAliases[tool.type] || null;
+  }
+
+  _translateBuiltinToolsToGoogle(openaiBody) {
+    const builtinTools = new Map();
+    for (const tool of openaiBody.tools || []) {
+      const name = this._getBuiltinToolName(tool);
+      if (name) builtinTools.set(name, {});
+    }
+    // extra_body.google.tools 可以是工具名字符串，也可以是 Google 原生的 { googleSearch: {...} }
+    for (const tool of openaiBody.extra_body?.google?.tools || []) {
+      if (typeof tool === "string") {
+        const name = this._getBuiltinToolName(tool);
+        if (name) builtinTools.set(name, {});
+        else this.logger.warn(`[Adapter] 未知的内置工具 '${tool}'，已忽略。`);
+      } else if (tool && typeof tool === "object") {
+        for (const [name, config] of Object.entries(tool)) {
+          builtinTools.set(
+            this._getBuiltinToolName(name) || name,
+            config || {}
+          );
+        }
+      }
+    }
+    if (openaiBody.web_search_options) {
+      builtinTools.set("googleSearch", {});
+    }
+    return [...builtinTools].map(([name, config]) => ({ [name]: config }));
+  }
+
+  _translateToolChoiceToGoogle(toolChoice) {
+    if (!toolChoice) return null;
+    if (typeof toolChoice === "string") {
+      const modeMap = { none: "NONE", auto: "AUTO", required: "ANY" };
+      const mode = modeMap[toolChoice];
+      return mode ? { functionCallingConfig: { mode } } : null;
+    }
+    // 指定函数：{ type: "function", function: { name } }
+    if (toolChoice.type === "function" && toolChoice.function?.name) {
+      return {
+        functionCallingConfig: {
+          mode: "ANY",
+          allowedFunctionNames: [toolChoice.function.name],
+        },
+      };
+    }
+    return null;
+  }
+
+  // Google 的 Schema 只支持 OpenAPI 3.0 的一个子集，多余的字段会直接导致 400。
+  // 能等价改写的写法 (type 数组、oneOf、const、$ref、allOf) 在这里改写；
+  // 只会放宽约束的字段在 strict 模式下报错，否则丢弃；完全无法表达的结构一律报错。
+  _convertJsonSchemaToGoogle(schema, options = {}) {
+    const {
+      strict = false,
+      label = "schema",
+      keepPropertyOrder = false,
+    } = options;
+    const definitions = {
+      ...(schema?.definitions || {}),
+      ...(schema?.$defs || {}),
+    };
+    const passThroughKeys = [
+      "title",
+      "description",
+      "nullable",
+      "minItems",
+      "maxItems",
+      "required",
+      "minProperties",
+      "maxProperties",
+      "minLength",
+      "maxLength",
+      "pattern",
+      "minimum",
+      "maximum",
+      "propertyOrdering",
+      "default",
+      "example",
+    ];
+    // 纯注解，丢弃不影响语义
+    const annotationKeys = [
+      "$schema",
+      "$id",
+      "$comment",
+      "$defs",
+      "definitions",
+      "readOnly",
+      "writeOnly",
+      "deprecated",
+      "unevaluatedProperties",
+    ];
+    // Gemini 无法表达，且丢弃会改变结构含义
+    const unconvertibleKeys = [
+      "not",
+      "if",
+      "then",
+      "else",
+      "patternProperties",
+      "dependentSchemas",
+      "dependentRequired",
+      "prefixItems",
+      "contains",
+    ];
+    const supportedFormats = [
+      "enum",
+      "date-time",
+      "int32",
+      "int64",
+      "float",
+      "double",
+    ];
+    const droppedKeys = new Set();
+
+    const fail = (pointer, reason) => {
+      throw this._createClientError(
+        `Cannot convert ${label} to a Gemini schema at '${pointer}': ${reason}`
+      );
+    };
+    const drop = (pointer, key) => {
+      if (strict) {
+        fail(pointer, `'${key}' is not supported by Gemini in strict mode`);
+      }
+      droppedKeys.add(key);
+    };
+
+    const merge = (target, source, pointer) => {
+      for (const [key, value] of Object.entries(source)) {
+        if (key === "properties") {
+          target.properties = { ...(target.properties || {}) };
+          for (const [name, propSchema] of Object.entries(value)) {
+            if (target.properties[name]) {
+              fail(pointer, `property '${name}' is defined twice in allOf`);
+            }
+            target.properties[name] = propSchema;
+          }
+        } else if (key === "required") {
+          target.required = [
+            ...new Set([...(target.required || []), ...value]),
+          ];
+        } else if (target[key] === undefined) {
+          target[key] = value;
+        } else if (
+          JSON.stringify(target[key]) !== JSON.stringify(value) &&
+          key !== "title" &&
+          key !== "description"
+        ) {
+          fail(pointer, `allOf members disagree on '${key}'`);
+        }
+      }
+      return target;
+    };
+
+    const convert = (node, pointer, refStack) => {
+      if (!node || typeof node !== "object" || Array.isArray(node)) {
+        fail(pointer, "boolean or non-object schemas are not supported");
+      }
+
+      if (node.$ref !== undefined) {
+        const { $ref, ...siblings } = node;
+        const match = /^#\/(?:\$defs|definitions)\/(.+)$/.exec($ref);
+        if (!match || !definitions[match[1]]) {
+          fail(pointer, `unresolvable $ref '${$ref}'`);
+        }
+        if (refStack.includes($ref)) {
+          fail(pointer, `recursive $ref '${$ref}' is not supported`);
+        }
+        return convert({ ...definitions[match[1]], ...siblings }, pointer, [
+          ...refStack,
+          $ref,
+        ]);
+      }
+
+      if (node.allOf !== undefined) {
+        const { allOf, ...rest } = node;
+        const merged = convert(rest, pointer, refStack);
+        allOf.forEach((sub, i) =>
+          merge(
+            merged,
+            convert(sub, `${pointer}/allOf/${i}`, refStack),
+            pointer
+          )
+        );
+        return merged;
+      }
+
+      const result = {};
+      for (const [key, value] of Object.entries(node)) {
+        if (key === "type") {
+          const types = Array.isArray(value) ? value : [value];
+          const nonNullTypes = types.filter((t) => t !== "null");
+          if (nonNullTypes.length < types.length) result.nullable = true;
+          if (nonNullTypes.length === 1) {
+            result.type = nonNullTypes[0];
+          } else if (nonNullTypes.length > 1) {
+            result.anyOf = nonNullTypes.map((t) => ({ type: t }));
+          }
+        } else if (key === "properties") {
+          result.properties = {};
+          for (const [name, propSchema] of Object.entries(value)) {
+            result.properties[name] = convert(
+              propSchema,
+              `${pointer}/properties/${name}`,
+              refStack
+            );
+          }
+          // Google 默认按字母序输出字段，这里保持与 schema 声明一致
+          if (keepPropertyOrder && !node.propertyOrdering) {
+            result.propertyOrdering = Object.keys(value);
+          }
+        } else if (key === "items") {
+          if (Array.isArray(value)) {
+            fail(pointer, "tuple-style 'items' arrays are not supported");
+          }
+          result.items = convert(value, `${pointer}/items`, refStack);
+        } else if (key === "anyOf" || key === "oneOf") {
+          const members = value.map((sub, i) =>
+            convert(sub, `${pointer}/${key}/${i}`, refStack)
+          );
+          // { "type": "null" } 成员折叠为 nullable
+          const nonNullMembers = members.filter(
+            (m) => !(m.nullable && Object.keys(m).length === 1)
+          );
+          if (nonNullMembers.length < members.length) result.nullable = true;
+          if (nonNullMembers.length === 1) {
+            merge(result, nonNullMembers[0], pointer);
+          } else if (nonNullMembers.length > 1) {
+            result.anyOf = nonNullMembers;
+          }
+        } else if (key === "const" || key === "enum") {
+          const values = key === "const" ? [value] : value;
+          const nonNullValues = values.filter((v) => v !== null);
+          if (!nonNullValues.every((v) => typeof v === "string")) {
+            fail(pointer, `only string values are supported in '${key}'`);
+          }
+          if (nonNullValues.length < values.length) result.nullable = true;
+          result.enum = nonNullValues;
+          if (!node.type) result.type = "string";
+        } else if (key === "format") {
+          if (supportedFormats.includes(value)) {
+            result.format = value;
+          } else {
+            drop(pointer, `format '${value}'`);
+          }
+        } else if (key === "examples") {
+          if (Array.isArray(value) && value.length > 0) {
+            result.example = value[0];
+          }
+        } else if (key === "additionalProperties") {
+          // false 是 OpenAI strict 模式的必填项，Google 的对象本就不允许多余字段
+          if (typeof value === "object") {
+            fail(
+              pointer,
+              "schema-valued 'additionalProperties' is not supported"
+            );
+          }
+        } else if (passThroughKeys.includes(key)) {
+          result[key] = value;
+        } else if (unconvertibleKeys.includes(key)) {
+          fail(pointer, `'${key}' is not supported`);
+        } else if (!annotationKeys.includes(key)) {
+          drop(pointer, key);
+        }
+      }
+      return result;
+    };
+
+    const converted = convert(schema, "#", []);
+    if (droppedKeys.size > 0) {
+      this.logger.warn(
+        `[Adapter] ${label} 中包含 Google 不支持的约束，已忽略: ${[
+          ...droppedKeys,
+        ].join(", ")}`
+      );
+    }
+    return converted;
+  }
+
+  _createClientError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  _translateResponseFormatToGoogle(responseFormat) {
+    if (!responseFormat || responseFormat.type === "text") return {};
+    if (responseFormat.type === "json_object") {
+      return { responseMimeType: "application/json" };
+    }
+    if (responseFormat.type === "json_schema") {
+      const jsonSchema = responseFormat.json_schema || {};
+      if (!jsonSchema.schema) {
+        throw this._createClientError(
+          "response_format.json_schema.schema is required."
+        );
+      }
+      const responseSchema = this._convertJsonSchemaToGoogle(
+        jsonSchema.schema,
+        {
+          strict: jsonSchema.strict === true,
+          label: `response_format '${jsonSchema.name || "schema"}'`,
+          keepPropertyOrder: true,
+        }
+      );
+      this.logger.info(
+        `[Adapter] 已将 response_format (${
+          jsonSchema.name || "schema"
+        }) 转换为 responseSchema。`
+      );
+      return { responseMimeType: "application/json", responseSchema };
+    }
+    throw this._createClientError(
+      `Unsupported response_format type: '${responseFormat.type}'.`
+    );
+  }
+
+  _buildFunctionCallPart(toolCall, modelName, isFirstInTurn) {
+    let args = {};
+    const rawArguments = toolCall.function?.arguments;
+    if (typeof rawArguments === "string" && rawArguments.trim()) {
+      try {
+        args = JSON.parse(rawArguments);
+      } catch (e) {
+        this.logger.warn(
+          `[Adapter] 工具调用 ${toolCall.id} 的 arguments 不是合法JSON，已按空参数处理。`
+        );
+      }
+    } else if (rawArguments && typeof rawArguments === "object") {
+      args = rawArguments;
+    }
+
+    const part = { functionCall: { name: toolCall.function?.name, args } };
+    const signature = this.thoughtSignatures.get(toolCall.id);
+    if (signature) {
+      part.thoughtSignature = signature;
+    } else if (isFirstInTurn && modelName.includes("gemini-3")) {
+      // 找不到原始签名时 (例如服务重启或历史来自其它渠道)，使用官方文档给出的跳过校验占位值
+      part.thoughtSignature = "skip_thought_signature_validator";
+    }
+    return part;
+  }
+
+  _buildFunctionResponsePart(message, toolCallNames) {
+    const name =
+      message.name || toolCallNames.get(message.tool_call_id) || "unknown";
+
+    let content = message.content;
+    if (Array.isArray(content)) {
+      content = content
+        .filter((p) => p.type === "text")
+        .map((p) => p.text)
+        .join("");
+    }
+    // functionResponse.response 必须是对象：JSON 对象直接透传，其余包一层
+    let response;
+    try {
+      const parsed = JSON.parse(content);
+      response =
+        parsed && typeof parsed === "object" && !Array.isArray(parsed)
+          ? parsed
+          : { content: parsed };
+    } catch (e) {
+      response = { content: content ?? "" };
+    }
+    return { functionResponse: { name, response } };
+  }
+
+  _translateFunctionCallToOpenAI(part) {
+    const id =
+      part.functionCall.id || `call_${crypto.randomBytes(12).toString("hex")}`;
+    if (part.thoughtSignature) {
+      this.thoughtSignatures.set(id, part.thoughtSignature);
+      // 简单的容量控制，丢弃最早的签名
+      if (this.thoughtSignatures.size > 1000) {
+        this.thoughtSignatures.delete(
+          this.thoughtSignatures.keys().next().value
+        );
+      }
+    }
+    return {
+      id,
+      type: "function",
+      function: {
+        name: part.functionCall.name,
+        arguments: JSON.stringify(part.functionCall.args || {}),
+      },
+    };
+  }
+
+  _translateGoogleToOpenAIStream(
+    googleChunk,
+    modelName = "gemini-pro",
+    streamState = {}
+  ) {
+    if (!googleChunk || googleChunk.trim() === "") {
+      return null;
+    }
+
+    let jsonString = googleChunk;
+    if (jsonString.startsWith("data: ")) {
+      jsonString = jsonString.substring(6).trim();
+    }
+
+    if (!jsonString || jsonString === "[DONE]") return null;
+
+    let googleResponse;
+    try {
+      googleResponse = JSON.parse(jsonString);
+    } catch (e) {
+      this.logger.warn(`[Adapter] 无法解析Google返回的JSON块: ${jsonString}`);
+      return null;
+    }
+
+    // usageMetadata 是累计值，保留最后一次即可
+    if (googleResponse.usageMetadata) {
+      streamState.usageMetadata = googleResponse.usageMetadata;
+    }
+
+    const candidates = googleResponse.candidates || [];
+    if (candidates.length === 0) {
+      if (googleResponse.promptFeedback) {
+        this.logger.warn(
+          `[Adapter] Google返回了promptFeedback，可能已被拦截: ${JSON.stringify(
+            googleResponse.promptFeedback
+          )}`
         );
-        this.failureCount = 0;
+        if (googleResponse.promptFeedback.blockReason) {
+          throw this._createPromptBlockedError(googleResponse.promptFeedback);
+        }
       }
+      return null;
+    }
 
-      // [核心修正] 对Google原生格式的响应进行智能图片处理
-      try {
-        let parsedBody = JSON.parse(fullBody);
-        let needsReserialization = false;
+    // n > 1 时同一个数据块里可能包含多个候选，各自对应一个 choice
+    const choices = candidates
+      .map((candidate, i) =>
+        this._translateGoogleCandidateToOpenAIDelta(candidate, i, streamState)
+      )
+      .filter(Boolean);
 
-        const candidate = parsedBody.candidates?.[0];
-        if (candidate?.content?.parts) {
-          const imagePartIndex = candidate.content.parts.findIndex(
-            (p) => p.inlineData
-          );
+    // 如果没有任何内容变更，则不返回数据（避免空行）
+    if (choices.length === 0) {
+      return null;
+    }
 
-          if (imagePartIndex > -1) {
-            this.logger.info(
-              "[Proxy] 检测到Google格式响应中的图片数据，正在转换为Markdown..."
-            );
-            const imagePart = candidate.content.parts[imagePartIndex];
-            const image = imagePart.inlineData;
+    const openaiResponse = {
+      id: `chatcmpl-${this._generateRequestId()}`,
+      object: "chat.completion.chunk",
+      created: Math.floor(Date.now() / 1000),
+      model: modelName,
+      choices: choices,
+    };
+    // 与 OpenAI 一致：开启 include_usage 后，普通数据块的 usage 固定为 null
+    if (streamState.includeUsage) {
+      openaiResponse.usage = null;
+    }
 
-            // 创建一个新的 text part 来替换原来的 inlineData part
-            const markdownTextPart = {
-              text: `![Generated Image](data:${image.mimeType};base64,${image.data})`,
-            };
+    return `data: ${JSON.stringify(openaiResponse)}\n\n`;
+  }
 
-            // 替换掉原来的部分
-            candidate.content.parts[imagePartIndex] = markdownTextPart;
-            needsReserialization = true;
-          }
+  _translateGoogleCandidateToOpenAIDelta(
+    candidate,
+    fallbackIndex,
+    streamState
+  ) {
+    const index = candidate.index ?? fallbackIndex;
+    // 工具调用的 index 需要在整个流中按 choice 分别递增
+    if (!streamState.toolCallCounts) streamState.toolCallCounts = {};
+    const delta = {};
+
+    if (candidate.content && Array.isArray(candidate.content.parts)) {
+      // 遍历所有部分，分离思考内容、正文/图片片段和工具调用
+      const segments = [];
+      let reasoningAccumulator = "";
+      const toolCallDeltas = [];
+
+      for (const part of candidate.content.parts) {
+        if (part.functionCall) {
+          // Google 总是一次性给出完整的函数调用，按出现顺序分配 index
+          const toolCallIndex = streamState.toolCallCounts[index] || 0;
+          toolCallDeltas.push({
+            index: toolCallIndex,
+            ...this._translateFunctionCallToOpenAI(part),
+          });
+          streamState.toolCallCounts[index] = toolCallIndex + 1;
+        } else if (part.thought === true) {
+          // Google API 的 thought 标记
+          reasoningAccumulator += part.text || "";
+        } else if (part.inlineData) {
+          segments.push(this._translateInlineDataToOpenAIPart(part.inlineData));
+          this.logger.info("[Adapter] 从流式响应块中成功解析到图片。");
+        } else if (
+          part.text ||
+          part.executableCode ||
+          part.codeExecutionResult
+        ) {
+          segments.push({ type: "text", text: this._renderPartAsText(part) });
         }
+      }
 
-        if (needsReserialization) {
-          fullBody = JSON.stringify(parsedBody); // 如果处理了图片，重新序列化
+      // 只有当有内容时才添加到 delta 中
+      const reasoningMode = streamState.reasoningMode || "reasoning_content";
+      if (reasoningAccumulator && reasoningMode === "reasoning_content") {
+        delta.reasoning_content = reasoningAccumulator;
+      }
+      if (reasoningMode === "think_tags") {
+        // 思考内容以 <think> 标签包裹并入正文，正文、工具调用或结束信号到来时闭合标签
+        if (!streamState.inThought) streamState.inThought = {};
+        let taggedContent = "";
+        if (reasoningAccumulator) {
+          if (!streamState.inThought[index]) {
+            taggedContent += "<think>\n";
+            streamState.inThought[index] = true;
+          }
+          taggedContent += reasoningAccumulator;
         }
-      } catch (e) {
-        this.logger.warn(
-          `[Proxy] 响应体不是有效的JSON，或在处理图片时出错: ${e.message}`
+        if (
+          streamState.inThought[index] &&
+          (segments.length > 0 ||
+            toolCallDeltas.length > 0 ||
+            candidate.finishReason)
+        ) {
+          taggedContent += "\n</think>\n";
+          streamState.inThought[index] = false;
+        }
+        if (taggedContent) {
+          segments.unshift({ type: "text", text: taggedContent });
+        }
+      }
+      if (segments.length > 0) {
+        delta.content = this._buildOpenAIMessageContent(
+          segments,
+          streamState.imageMode
         );
-        // 如果出错，则什么都不做，直接发送原始的 fullBody
       }
+      // 记录已输出的正文，用于把搜索引用定位到字符区间
+      if (!streamState.contentText) streamState.contentText = {};
+      if (typeof delta.content === "string") {
+        streamState.contentText[index] =
+          (streamState.contentText[index] || "") + delta.content;
+      }
+      if (toolCallDeltas.length > 0) {
+        delta.tool_calls = toolCallDeltas;
+      }
+    }
 
-      try {
-        const fullResponse = JSON.parse(fullBody);
-        const finishReason =
-          fullResponse.candidates?.[0]?.finishReason || "UNKNOWN";
-        this.logger.info(
-          `✅ [Request] 响应结束，原因: ${finishReason}，请求ID: ${proxyRequest.request_id}`
-        );
-      } catch (e) {}
+    const annotations = this._translateGroundingToAnnotations(
+      candidate.groundingMetadata,
+      streamState.contentText?.[index] || ""
+    );
+    if (annotations.length > 0) {
+      delta.annotations = annotations;
+    }
 
-      // 4. 设置正确的JSON响应头，并一次性发送处理过的全部数据
-      res
-        .status(headerMessage.status || 200)
-        .type("application/json")
-        .send(fullBody || "{}");
+    if (
+      !delta.content &&
+      !delta.reasoning_content &&
+      !delta.tool_calls &&
+      !delta.annotations &&
+      !candidate.finishReason
+    ) {
+      return null;
+    }
 
-      this.logger.info(`[Request] 已向客户端发送完整的非流式响应。`);
-    } catch (error) {
-      this._handleRequestError(error, res);
+    const finishReason = this._translateFinishReasonToOpenAI(
+      candidate.finishReason,
+      streamState.toolCallCounts[index] > 0
+    );
+
+    const choice = {
+      index,
+      delta: delta, // 使用包含 reasoning_content 的 delta
+      finish_reason: finishReason,
+    };
+    if (candidate.logprobsResult) {
+      choice.logprobs = this._translateLogprobsToOpenAI(
+        candidate.logprobsResult
+      );
     }
+    return choice;
   }
+  _translateAnthropicToGoogle(body, modelName = "", apiKey = null) {
+    this.logger.info("[Adapter] 开始将Anthropic请求格式翻译为Google格式...");
+    if (!Array.isArray(body.messages)) {
+      throw this._createClientError("'messages' must be an array.");
+    }
 
-  _getKeepAliveChunk(req) {
-    if (req.path.includes("chat/completions")) {
-      const payload = {
-        id: `chatcmpl-${this._generateRequestId()}`,
-        object: "chat.completion.chunk",
-        created: Math.floor(Date.now() / 1000),
-        model: "gpt-4",
-        choices: [{ index: 0, delta: {}, finish_reason: null }],
-      };
-      return `data: ${JSON.stringify(payload)}\n\n`;
+    const googleRequest = { contents: [] };
+
+    // 1. system 可以是字符串，也可以是 text 块数组
+    const systemText = Array.isArray(body.system)
+      ? body.system
+          .filter((block) => block.type === "text")
+          .map((block) => block.text)
+          .join("\n")
+      : body.system;
+    if (systemText) {
+      googleRequest.systemInstruction = { parts: [{ text: systemText }] };
     }
-    if (
-      req.path.includes("generateContent") ||
-      req.path.includes("streamGenerateContent")
-    ) {
-      const payload = {
-        candidates: [
-          {
-            content: { parts: [{ text: "" }], role: "model" },
-            finishReason: null,
-            index: 0,
-            safetyRatings: [],
+
+    // 2. 消息内容块
+    const toolUseNames = new Map();
+    for (const message of body.messages) {
+      const blocks =
+        typeof message.content === "string"
+          ? [{ type: "text", text: message.content }]
+          : message.content || [];
+      const parts = [];
+      let isFirstToolUse = true;
+
+      for (const block of blocks) {
+        if (block.type === "text") {
+          if (block.text) parts.push({ text: block.text });
+        } else if (block.type === "image" || block.type === "document") {
+          parts.push(this._translateAnthropicSourceToGoogle(block.source));
+        } else if (block.type === "tool_use") {
+          parts.push(
+            this._buildFunctionCallPart(
+              {
+                id: block.id,
+                function: { name: block.name, arguments: block.input || {} },
+              },
+              modelName,
+              isFirstToolUse
+            )
+          );
+          isFirstToolUse = false;
+          toolUseNames.set(block.id, block.name);
+        } else if (block.type === "tool_result") {
+          parts.push(
+            ...this._translateAnthropicToolResultToGoogle(block, toolUseNames)
+          );
+        } else if (
+          block.type === "thinking" ||
+          block.type === "redacted_thinking"
+        ) {
+          // Google 不接受回传的思考内容，直接丢弃
+          continue;
+        } else {
+          throw this._createClientError(
+            `Unsupported content block type: '${block.type}'.`
+          );
+        }
+      }
+      if (parts.length === 0) continue;
+
+      // Anthropic 允许连续的同角色消息，Google 需要合并
+      const role = message.role === "assistant" ? "model" : "user";
+      const lastContent =
+        googleRequest.contents[googleRequest.contents.length - 1];
+      if (lastContent && lastContent.role === role) {
+        lastContent.parts.push(...parts);
+      } else {
+        googleRequest.contents.push({ role, parts });
+      }
+    }
+
+    // 3. 工具：复用 OpenAI 的转换逻辑，服务端工具 (web_search 等) 没有 input_schema，忽略
+    const functionDeclarations = this._translateOpenAIToolsToGoogle(
+      (body.tools || [])
+        .filter((tool) => tool.input_schema)
+        .map((tool) => ({
+          type: "function",
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.input_schema,
           },
-        ],
-      };
-      return `data: ${JSON.stringify(payload)}\n\n`;
+        }))
+    );
+    if (functionDeclarations.length > 0) {
+      googleRequest.tools = [{ functionDeclarations }];
+    }
+    if (body.tool_choice) {
+      const choiceMap = { auto: "auto", any: "required", none: "none" };
+      const toolConfig = this._translateToolChoiceToGoogle(
+        body.tool_choice.type === "tool"
+          ? { type: "function", function: { name: body.tool_choice.name } }
+          : choiceMap[body.tool_choice.type]
+      );
+      if (toolConfig) googleRequest.toolConfig = toolConfig;
     }
-    return "data: {}\n\n";
-  }
 
-  _setResponseHeaders(res, headerMessage) {
-    res.status(headerMessage.status || 200);
-    const headers = headerMessage.headers || {};
-    Object.entries(headers).forEach(([name, value]) => {
-      if (name.toLowerCase() !== "content-length") res.set(name, value);
-    });
-  }
-  _handleRequestError(error, res) {
-    if (res.headersSent) {
-      this.logger.error(`[Request] 请求处理错误 (头已发送): ${error.message}`);
-      if (this.serverSystem.streamingMode === "fake")
-        this._sendErrorChunkToClient(res, `处理失败: ${error.message}`);
-      if (!res.writableEnded) res.end();
-    } else {
-      this.logger.error(`[Request] 请求处理错误: ${error.message}`);
-      const status = error.message.includes("超时") ? 504 : 500;
-      this._sendErrorResponse(res, status, `代理错误: ${error.message}`);
+    // 4. 生成参数
+    const generationConfig = {
+      temperature: body.temperature,
+      topP: body.top_p,
+      topK: body.top_k,
+      maxOutputTokens: body.max_tokens,
+      stopSequences: body.stop_sequences,
+    };
+    if (body.thinking?.type === "enabled") {
+      generationConfig.thinkingConfig = { includeThoughts: true };
+      if (body.thinking.budget_tokens) {
+        generationConfig.thinkingConfig.thinkingBudget =
+          body.thinking.budget_tokens;
+      }
+    } else if (
+      this.serverSystem.forceThinking &&
+      body.thinking?.type !== "disabled"
+    ) {
+      this.logger.info(
+        "[Adapter] ⚠️ 强制推理已启用，且客户端未提供配置，正在注入 thinkingConfig..."
+      );
+      generationConfig.thinkingConfig = { includeThoughts: true };
     }
+    googleRequest.generationConfig = generationConfig;
+    this._applyModelDefaults(googleRequest, body.model);
+    googleRequest.safetySettings = this._buildSafetySettings(
+      modelName,
+      apiKey,
+      null,
+      body.model
+    );
+
+    this.logger.info("[Adapter] Anthropic请求翻译完成。");
+    return googleRequest;
   }
 
-  _sendErrorResponse(res, status, message) {
-    if (!res.headersSent) {
-      // 1. 创建一个符合API规范的JSON错误对象
-      const errorPayload = {
-        error: {
-          code: status || 500,
-          message: message,
-          status: "SERVICE_UNAVAILABLE", // 这是一个示例状态名
-        },
-      };
-      // 2. 设置响应类型为 application/json 并发送
-      res
-        .status(status || 500)
-        .type("application/json")
-        .send(JSON.stringify(errorPayload));
+  _translateAnthropicSourceToGoogle(source) {
+    if (source?.type === "base64") {
+      return { inlineData: { mimeType: source.media_type, data: source.data } };
+    }
+    if (source?.type === "text") {
+      return { text: source.data };
     }
+    throw this._createClientError(
+      `Unsupported content source type: '${source?.type}'. Only base64 sources are supported.`
+    );
   }
 
-  _translateOpenAIToGoogle(openaiBody, modelName = "") {
-    this.logger.info("[Adapter] 开始将OpenAI请求格式翻译为Google格式...");
-
-    let systemInstruction = null;
-    const googleContents = [];
-
-    // 1. 分离出 system 指令
-    const systemMessages = openaiBody.messages.filter(
-      (msg) => msg.role === "system"
+  _translateAnthropicToolResultToGoogle(block, toolUseNames) {
+    const blocks =
+      typeof block.content === "string"
+        ? [{ type: "text", text: block.content }]
+        : block.content || [];
+    const text = blocks
+      .filter((b) => b.type === "text")
+      .map((b) => b.text)
+      .join("");
+    const responsePart = this._buildFunctionResponsePart(
+      { tool_call_id: block.tool_use_id, content: text },
+      toolUseNames
     );
-    if (systemMessages.length > 0) {
-      // 将所有 system message 的内容合并
-      const systemContent = systemMessages.map((msg) => msg.content).join("\n");
-      systemInstruction = {
-        // Google Gemini 1.5 Pro 开始正式支持 system instruction
-        role: "system",
-        parts: [{ text: systemContent }],
+    if (block.is_error) {
+      responsePart.functionResponse.response = {
+        error: responsePart.functionResponse.response,
       };
     }
+    // functionResponse 只能承载 JSON，工具返回的图片作为独立的 part 跟在后面
+    const imageParts = blocks
+      .filter((b) => b.type === "image")
+      .map((b) => this._translateAnthropicSourceToGoogle(b.source));
+    return [responsePart, ...imageParts];
+  }
 
-    // 2. 转换 user 和 assistant 消息
-    const conversationMessages = openaiBody.messages.filter(
-      (msg) => msg.role !== "system"
-    );
-    for (const message of conversationMessages) {
-      const googleParts = [];
-
-      // [核心改进] 判断 content 是字符串还是数组
-      if (typeof message.content === "string") {
-        // a. 如果是纯文本
-        googleParts.push({ text: message.content });
-      } else if (Array.isArray(message.content)) {
-        // b. 如果是图文混合内容
-        for (const part of message.content) {
-          if (part.type === "text") {
-            googleParts.push({ text: part.text });
-          } else if (part.type === "image_url" && part.image_url) {
-            // 从 data URL 中提取 mimetype 和 base64 数据
-            const dataUrl = part.image_url.url;
-            const match = dataUrl.match(/^data:(image\/.*?);base64,(.*)$/);
-            if (match) {
-              googleParts.push({
-                inlineData: {
-                  mimeType: match[1],
-                  data: match[2],
-                },
-              });
-            }
-          }
-        }
+  _translateGoogleToAnthropicMessage(googleResponse, messageId, modelName) {
+    const candidate = googleResponse.candidates?.[0];
+    const content = [];
+    const appendText = (type, text) => {
+      const lastBlock = content[content.length - 1];
+      if (lastBlock && lastBlock.type === type) {
+        lastBlock[type] += text;
+      } else if (type === "thinking") {
+        content.push({ type, thinking: text, signature: "" });
+      } else {
+        content.push({ type, text });
       }
+    };
 
-      googleContents.push({
-        role: message.role === "assistant" ? "model" : "user",
-        parts: googleParts,
-      });
+    for (const part of candidate?.content?.parts || []) {
+      if (part.functionCall) {
+        const toolCall = this._translateFunctionCallToOpenAI(part);
+        content.push({
+          type: "tool_use",
+          id: toolCall.id,
+          name: part.functionCall.name,
+          input: part.functionCall.args || {},
+        });
+      } else if (part.thought) {
+        appendText("thinking", part.text || "");
+      } else if (
+        part.inlineData ||
+        part.text ||
+        part.executableCode ||
+        part.codeExecutionResult
+      ) {
+        appendText("text", this._renderPartAsText(part));
+      }
     }
 
-    // 3. 构建最终的Google请求体
-    const googleRequest = {
-      contents: googleContents,
-      ...(systemInstruction && {
-        systemInstruction: { parts: systemInstruction.parts },
-      }),
+    const hasToolUse = content.some((block) => block.type === "tool_use");
+    return {
+      id: messageId,
+      type: "message",
+      role: "assistant",
+      model: modelName,
+      content,
+      stop_reason: this._translateFinishReasonToAnthropic(
+        candidate
+          ? candidate.finishReason
+          : googleResponse.promptFeedback && "SAFETY",
+        hasToolUse
+      ),
+      stop_sequence: null,
+      usage: this._translateUsageToAnthropic(googleResponse.usageMetadata),
     };
+  }
 
-    // 4. 转换生成参数
-    const generationConfig = {
-      temperature: openaiBody.temperature,
-      topP: openaiBody.top_p,
-      topK: openaiBody.top_k,
-      maxOutputTokens: openaiBody.max_tokens,
-      stopSequences: openaiBody.stop,
+  _translateGoogleToAnthropicEvents(googleResponse, state) {
+    const events = [];
+    if (googleResponse.usageMetadata) {
+      state.usageMetadata = googleResponse.usageMetadata;
+    }
+    if (!state.started) {
+      events.push(
+        this._formatAnthropicEvent("message_start", {
+          message: {
+            id: state.messageId,
+            type: "message",
+            role: "assistant",
+            model: state.model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: this._translateUsageToAnthropic(state.usageMetadata),
+          },
+        })
+      );
+      state.started = true;
+    }
+
+    // 正文和思考内容按类型合并为连续的内容块，类型切换时关闭上一个块
+    const closeBlock = () => {
+      if (!state.blockType) return;
+      events.push(
+        this._formatAnthropicEvent("content_block_stop", {
+          index: state.blockIndex,
+        })
+      );
+      state.blockType = null;
+    };
+    const ensureBlock = (type) => {
+      if (state.blockType === type) return;
+      closeBlock();
+      state.blockIndex++;
+      state.blockType = type;
+      events.push(
+        this._formatAnthropicEvent("content_block_start", {
+          index: state.blockIndex,
+          content_block:
+            type === "thinking"
+              ? { type: "thinking", thinking: "", signature: "" }
+              : { type: "text", text: "" },
+        })
+      );
     };
 
-    const extraBody = openaiBody.extra_body || {};
-    let rawThinkingConfig =
-      extraBody.google?.thinking_config ||
-      extraBody.google?.thinkingConfig ||
-      extraBody.thinkingConfig ||
-      extraBody.thinking_config ||
-      openaiBody.thinkingConfig ||
-      openaiBody.thinking_config;
+    const candidate = googleResponse.candidates?.[0];
+    if (!candidate && googleResponse.promptFeedback) {
+      this.logger.warn(
+        `[Adapter] Google返回了promptFeedback，可能已被拦截: ${JSON.stringify(
+          googleResponse.promptFeedback
+        )}`
+      );
+      state.finishReason = "SAFETY";
+    }
 
-    let thinkingConfig = null;
+    for (const part of candidate?.content?.parts || []) {
+      if (part.functionCall) {
+        // 工具调用总是完整给出，作为独立的块一次性发送
+        closeBlock();
+        const toolCall = this._translateFunctionCallToOpenAI(part);
+        state.blockIndex++;
+        state.hasToolUse = true;
+        events.push(
+          this._formatAnthropicEvent("content_block_start", {
+            index: state.blockIndex,
+            content_block: {
+              type: "tool_use",
+              id: toolCall.id,
+              name: part.functionCall.name,
+              input: {},
+            },
+          }),
+          this._formatAnthropicEvent("content_block_delta", {
+            index: state.blockIndex,
+            delta: {
+              type: "input_json_delta",
+              partial_json: toolCall.function.arguments,
+            },
+          }),
+          this._formatAnthropicEvent("content_block_stop", {
+            index: state.blockIndex,
+          })
+        );
+      } else if (part.thought) {
+        if (!part.text) continue;
+        ensureBlock("thinking");
+        events.push(
+          this._formatAnthropicEvent("content_block_delta", {
+            index: state.blockIndex,
+            delta: { type: "thinking_delta", thinking: part.text },
+          })
+        );
+      } else if (
+        part.inlineData ||
+        part.text ||
+        part.executableCode ||
+        part.codeExecutionResult
+      ) {
+        ensureBlock("text");
+        events.push(
+          this._formatAnthropicEvent("content_block_delta", {
+            index: state.blockIndex,
+            delta: { type: "text_delta", text: this._renderPartAsText(part) },
+          })
+        );
+      }
+    }
+
+    if (candidate?.finishReason) {
+      state.finishReason = candidate.finishReason;
+    }
+    return events;
+  }
+
+  _finishAnthropicStream(state) {
+    const events = [];
+    if (!state.started) {
+      // 上游没有返回任何数据块，补发 message_start 保证事件序列完整
+      events.push(...this._translateGoogleToAnthropicEvents({}, state));
+    }
+    if (state.blockType) {
+      events.push(
+        this._formatAnthropicEvent("content_block_stop", {
+          index: state.blockIndex,
+        })
+      );
+      state.blockType = null;
+    }
+    events.push(
+      this._formatAnthropicEvent("message_delta", {
+        delta: {
+          stop_reason: this._translateFinishReasonToAnthropic(
+            state.finishReason,
+            state.hasToolUse
+          ),
+          stop_sequence: null,
+        },
+        usage: this._translateUsageToAnthropic(state.usageMetadata),
+      }),
+      this._formatAnthropicEvent("message_stop", {})
+    );
+    return events;
+  }
 
-    if (rawThinkingConfig) {
-      // 2. 格式清洗：将 snake_case (下划线) 转换为 camelCase (驼峰)
-      thinkingConfig = {};
+  _formatAnthropicEvent(type, payload) {
+    return `event: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`;
+  }
 
-      // 处理开关
-      if (rawThinkingConfig.include_thoughts !== undefined) {
-        thinkingConfig.includeThoughts = rawThinkingConfig.include_thoughts;
-      } else if (rawThinkingConfig.includeThoughts !== undefined) {
-        thinkingConfig.includeThoughts = rawThinkingConfig.includeThoughts;
-      }
+  _translateFinishReasonToAnthropic(finishReason, hasToolUse) {
+    if (hasToolUse) return "tool_use";
+    switch (finishReason) {
+      case "MAX_TOKENS":
+        return "max_tokens";
+      case "SAFETY":
+      case "RECITATION":
+      case "BLOCKLIST":
+      case "PROHIBITED_CONTENT":
+      case "SPII":
+      case "IMAGE_SAFETY":
+        return "refusal";
+      default:
+        return "end_turn";
+    }
+  }
 
-      // 处理 Budget (预算)
-      // if (rawThinkingConfig.thinking_budget !== undefined) {
-      // thinkingConfig.thinkingBudgetTokenLimit =
-      // rawThinkingConfig.thinking_budget;
-      //} else if (rawThinkingConfig.thinkingBudget !== undefined) {
-      //thinkingConfig.thinkingBudgetTokenLimit =
-      //rawThinkingConfig.thinkingBudget;
-      //}
+  _translateUsageToAnthropic(usageMetadata) {
+    const cachedTokens = usageMetadata?.cachedContentTokenCount || 0;
+    return {
+      input_tokens: (usageMetadata?.promptTokenCount || 0) - cachedTokens,
+      output_tokens:
+        (usageMetadata?.candidatesTokenCount || 0) +
+        (usageMetadata?.thoughtsTokenCount || 0),
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: cachedTokens,
+    };
+  }
 
-      this.logger.info(
-        `[Adapter] 成功提取并转换推理配置: ${JSON.stringify(thinkingConfig)}`
-      );
+  _sendAnthropicError(res, status, message) {
+    const typeMap = {
+      400: "invalid_request_error",
+      401: "authentication_error",
+      403: "permission_error",
+      404: "not_found_error",
+      413: "request_too_large",
+      429: "rate_limit_error",
+      503: "overloaded_error",
+      529: "overloaded_error",
+    };
+    const payload = {
+      type: "error",
+      error: { type: typeMap[status] || "api_error", message },
+    };
+    if (res.headersSent) {
+      // 流已开始，只能以 error 事件的形式通知客户端
+      if (!res.writableEnded) {
+        res.write(
+          this._formatAnthropicEvent("error", { error: payload.error })
+        );
+        res.end();
+      }
+      return;
+    }
+    res.status(status).json(payload);
+  }
+  // Responses 请求先转换为等价的 Chat Completions 请求，再复用已有的 OpenAI -> Google 翻译
+  _translateResponsesToOpenAI(body, items) {
+    const messages = [];
+    if (body.instructions) {
+      messages.push({ role: "system", content: body.instructions });
     }
 
-    // 3. 如果没找到配置，尝试识别 OpenAI 标准参数 'reasoning_effort'
-    if (!thinkingConfig) {
-      const effort = openaiBody.reasoning_effort || extraBody.reasoning_effort;
-      if (effort) {
-        this.logger.info(
-          `[Adapter] 检测到 OpenAI 标准推理参数 (reasoning_effort: ${effort})，自动转换为 Google 格式。`
+    for (const item of items) {
+      const type = item.type || "message";
+      if (type === "message") {
+        let content =
+          typeof item.content === "string"
+            ? item.content
+            : (item.content || []).map((part) =>
+                this._translateResponsesContentPart(part)
+              );
+        let role = item.role;
+        if (role === "developer" || role === "system") {
+          // system 指令只接受纯文本
+          role = "system";
+          if (Array.isArray(content)) {
+            content = content.map((part) => part.text || "").join("\n");
+          }
+        }
+        messages.push({ role, content });
+      } else if (type === "function_call") {
+        // 同一轮的多个函数调用 (以及之前的文本) 合并到同一条 assistant 消息
+        const toolCall = {
+          id: item.call_id,
+          type: "function",
+          function: { name: item.name, arguments: item.arguments },
+        };
+        const lastMessage = messages[messages.length - 1];
+        if (lastMessage && lastMessage.role === "assistant") {
+          lastMessage.tool_calls = [
+            ...(lastMessage.tool_calls || []),
+            toolCall,
+          ];
+        } else {
+          messages.push({
+            role: "assistant",
+            content: "",
+            tool_calls: [toolCall],
+          });
+        }
+      } else if (type === "function_call_output") {
+        messages.push({
+          role: "tool",
+          tool_call_id: item.call_id,
+          content:
+            typeof item.output === "string"
+              ? item.output
+              : JSON.stringify(item.output),
+        });
+      } else if (type === "reasoning") {
+        // 推理摘要不回传给 Google
+        continue;
+      } else {
+        throw this._createClientError(
+          `Unsupported input item type: '${type}'.`
         );
-        thinkingConfig = { includeThoughts: true };
       }
     }
 
-    // 4. 强制开启逻辑 (WebUI开关)
-    if (this.serverSystem.forceThinking && !thinkingConfig) {
-      this.logger.info(
-        "[Adapter] ⚠️ 强制推理已启用，且客户端未提供配置，正在注入 thinkingConfig..."
-      );
-      thinkingConfig = { includeThoughts: true };
+    const tools = [];
+    for (const tool of body.tools || []) {
+      if (tool.type === "function") {
+        tools.push({
+          type: "function",
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters,
+          },
+        });
+      } else if (this._getBuiltinToolName(tool)) {
+        tools.push(tool);
+      } else {
+        this.logger.warn(
+          `[Adapter] Responses内置工具 '${tool.type}' 暂不支持，已忽略。`
+        );
+      }
     }
 
-    // 5. 写入最终配置
-    if (thinkingConfig) {
-      generationConfig.thinkingConfig = thinkingConfig;
+    const format = body.text?.format;
+    let responseFormat;
+    if (format?.type === "json_schema") {
+      responseFormat = {
+        type: "json_schema",
+        json_schema: {
+          name: format.name,
+          schema: format.schema,
+          strict: format.strict,
+        },
+      };
+    } else if (format?.type === "json_object") {
+      responseFormat = { type: "json_object" };
     }
 
-    googleRequest.generationConfig = generationConfig;
-
-    // 5. 安全设置
-    googleRequest.safetySettings = [
-      { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-      { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-    ];
-
-    this.logger.info("[Adapter] 翻译完成。");
-    return googleRequest;
+    return {
+      model: body.model,
+      messages,
+      tools,
+      tool_choice:
+        body.tool_choice?.type === "function"
+          ? { type: "function", function: { name: body.tool_choice.name } }
+          : body.tool_choice,
+      temperature: body.temperature,
+      top_p: body.top_p,
+      max_tokens: body.max_output_tokens,
+      response_format: responseFormat,
+      reasoning_effort: body.reasoning?.effort,
+    };
   }
 
-  _translateGoogleToOpenAIStream(googleChunk, modelName = "gemini-pro") {
-    if (!googleChunk || googleChunk.trim() === "") {
-      return null;
+  _translateResponsesContentPart(part) {
+    if (part.type === "input_text" || part.type === "output_text") {
+      return { type: "text", text: part.text };
     }
-
-    let jsonString = googleChunk;
-    if (jsonString.startsWith("data: ")) {
-      jsonString = jsonString.substring(6).trim();
+    if (part.type === "input_image" && part.image_url) {
+      return { type: "image_url", image_url: { url: part.image_url } };
     }
-
-    if (!jsonString || jsonString === "[DONE]") return null;
-
-    let googleResponse;
-    try {
-      googleResponse = JSON.parse(jsonString);
-    } catch (e) {
-      this.logger.warn(`[Adapter] 无法解析Google返回的JSON块: ${jsonString}`);
-      return null;
+    if (part.type === "input_file") {
+      return {
+        type: "file",
+        file: {
+          file_data: part.file_data,
+          file_id: part.file_id,
+          filename: part.filename,
+        },
+      };
+    }
+    if (part.type === "refusal") {
+      return { type: "text", text: part.refusal };
     }
+    throw this._createClientError(
+      `Unsupported content part type: '${part.type}'.`
+    );
+  }
 
+  _translateGoogleToResponsesEvents(googleResponse, state) {
+    const events = [];
+    if (googleResponse.usageMetadata) {
+      state.usageMetadata = googleResponse.usageMetadata;
+    }
     const candidate = googleResponse.candidates?.[0];
-    if (!candidate) {
-      if (googleResponse.promptFeedback) {
-        this.logger.warn(
-          `[Adapter] Google返回了promptFeedback，可能已被拦截: ${JSON.stringify(
-            googleResponse.promptFeedback
-          )}`
+    if (!candidate && googleResponse.promptFeedback) {
+      this.logger.warn(
+        `[Adapter] Google返回了promptFeedback，可能已被拦截: ${JSON.stringify(
+          googleResponse.promptFeedback
+        )}`
+      );
+      state.finishReason = "SAFETY";
+    }
+
+    for (const part of candidate?.content?.parts || []) {
+      if (part.functionCall) {
+        // 工具调用总是完整给出，作为独立的输出项一次性发送
+        events.push(...this._closeResponsesItem(state));
+        const toolCall = this._translateFunctionCallToOpenAI(part);
+        const item = {
+          id: `fc_${this._generateRequestId()}`,
+          type: "function_call",
+          status: "completed",
+          call_id: toolCall.id,
+          name: toolCall.function.name,
+          arguments: toolCall.function.arguments,
+        };
+        const outputIndex = state.response.output.push(item) - 1;
+        events.push(
+          this._formatResponsesEvent(state, "response.output_item.added", {
+            output_index: outputIndex,
+            item: { ...item, status: "in_progress", arguments: "" },
+          }),
+          this._formatResponsesEvent(
+            state,
+            "response.function_call_arguments.delta",
+            {
+              item_id: item.id,
+              output_index: outputIndex,
+              delta: item.arguments,
+            }
+          ),
+          this._formatResponsesEvent(
+            state,
+            "response.function_call_arguments.done",
+            {
+              item_id: item.id,
+              output_index: outputIndex,
+              arguments: item.arguments,
+            }
+          ),
+          this._formatResponsesEvent(state, "response.output_item.done", {
+            output_index: outputIndex,
+            item,
+          })
+        );
+      } else if (part.thought) {
+        if (!part.text) continue;
+        events.push(...this._openResponsesItem(state, "reasoning"));
+        state.currentItem.summary[0].text += part.text;
+        events.push(
+          this._formatResponsesEvent(
+            state,
+            "response.reasoning_summary_text.delta",
+            {
+              item_id: state.currentItem.id,
+              output_index: state.response.output.length - 1,
+              summary_index: 0,
+              delta: part.text,
+            }
+          )
+        );
+      } else if (
+        part.inlineData ||
+        part.text ||
+        part.executableCode ||
+        part.codeExecutionResult
+      ) {
+        const delta = this._renderPartAsText(part);
+        events.push(...this._openResponsesItem(state, "message"));
+        state.currentItem.content[0].text += delta;
+        events.push(
+          this._formatResponsesEvent(state, "response.output_text.delta", {
+            item_id: state.currentItem.id,
+            output_index: state.response.output.length - 1,
+            content_index: 0,
+            delta,
+          })
         );
-        const errorText = `[ProxySystem Error] Request blocked due to safety settings. Finish Reason: ${googleResponse.promptFeedback.blockReason}`;
-        return `data: ${JSON.stringify({
-          id: `chatcmpl-${this._generateRequestId()}`,
-          object: "chat.completion.chunk",
-          created: Math.floor(Date.now() / 1000),
-          model: modelName,
-          choices: [
-            { index: 0, delta: { content: errorText }, finish_reason: "stop" },
-          ],
-        })}\n\n`;
       }
-      return null;
     }
 
-    const delta = {};
-
-    if (candidate.content && Array.isArray(candidate.content.parts)) {
-      const imagePart = candidate.content.parts.find((p) => p.inlineData);
+    if (candidate?.groundingMetadata) {
+      state.groundingMetadata = candidate.groundingMetadata;
+    }
+    if (candidate?.finishReason) {
+      state.finishReason = candidate.finishReason;
+    }
+    return events;
+  }
 
-      if (imagePart) {
-        const image = imagePart.inlineData;
-        delta.content = `![Generated Image](data:${image.mimeType};base64,${image.data})`;
-        this.logger.info("[Adapter] 从流式响应块中成功解析到图片。");
-      } else {
-        // 遍历所有部分，分离思考内容和正文内容
-        let contentAccumulator = "";
-        let reasoningAccumulator = "";
+  // 正文和推理摘要按类型合并为连续的输出项，类型切换时关闭上一个
+  _openResponsesItem(state, type) {
+    if (state.currentItem?.type === type) return [];
+    const events = this._closeResponsesItem(state);
+    const item =
+      type === "reasoning"
+        ? {
+            id: `rs_${this._generateRequestId()}`,
+            type: "reasoning",
+            summary: [{ type: "summary_text", text: "" }],
+          }
+        : {
+            id: `msg_${this._generateRequestId()}`,
+            type: "message",
+            status: "in_progress",
+            role: "assistant",
+            content: [{ type: "output_text", text: "", annotations: [] }],
+          };
+    const outputIndex = state.response.output.push(item) - 1;
+    state.currentItem = item;
+    events.push(
+      this._formatResponsesEvent(state, "response.output_item.added", {
+        output_index: outputIndex,
+        item:
+          type === "reasoning"
+            ? { ...item, summary: [] }
+            : { ...item, content: [] },
+      })
+    );
+    if (type === "reasoning") {
+      events.push(
+        this._formatResponsesEvent(
+          state,
+          "response.reasoning_summary_part.added",
+          {
+            item_id: item.id,
+            output_index: outputIndex,
+            summary_index: 0,
+            part: { type: "summary_text", text: "" },
+          }
+        )
+      );
+    } else {
+      events.push(
+        this._formatResponsesEvent(state, "response.content_part.added", {
+          item_id: item.id,
+          output_index: outputIndex,
+          content_index: 0,
+          part: { type: "output_text", text: "", annotations: [] },
+        })
+      );
+    }
+    return events;
+  }
 
-        for (const part of candidate.content.parts) {
-          // Google API 的 thought 标记
-          if (part.thought === true) {
-            reasoningAccumulator += part.text || "";
-          } else {
-            contentAccumulator += part.text || "";
+  _closeResponsesItem(state) {
+    const item = state.currentItem;
+    if (!item) return [];
+    state.currentItem = null;
+    const outputIndex = state.response.output.indexOf(item);
+    const events = [];
+    if (item.type === "reasoning") {
+      events.push(
+        this._formatResponsesEvent(
+          state,
+          "response.reasoning_summary_text.done",
+          {
+            item_id: item.id,
+            output_index: outputIndex,
+            summary_index: 0,
+            text: item.summary[0].text,
           }
-        }
+        ),
+        this._formatResponsesEvent(
+          state,
+          "response.reasoning_summary_part.done",
+          {
+            item_id: item.id,
+            output_index: outputIndex,
+            summary_index: 0,
+            part: item.summary[0],
+          }
+        )
+      );
+    } else {
+      item.status = "completed";
+      events.push(
+        this._formatResponsesEvent(state, "response.output_text.done", {
+          item_id: item.id,
+          output_index: outputIndex,
+          content_index: 0,
+          text: item.content[0].text,
+        }),
+        this._formatResponsesEvent(state, "response.content_part.done", {
+          item_id: item.id,
+          output_index: outputIndex,
+          content_index: 0,
+          part: item.content[0],
+        })
+      );
+    }
+    events.push(
+      this._formatResponsesEvent(state, "response.output_item.done", {
+        output_index: outputIndex,
+        item,
+      })
+    );
+    return events;
+  }
 
-        // 只有当有内容时才添加到 delta 中
-        if (reasoningAccumulator) {
-          delta.reasoning_content = reasoningAccumulator;
-        }
-        if (contentAccumulator) {
-          delta.content = contentAccumulator;
-        }
-      }
+  _finishResponsesOutput(state) {
+    const events = [];
+    const response = state.response;
+
+    // 搜索引用挂到最后一个消息输出项上
+    const messageItem = [...response.output]
+      .reverse()
+      .find((item) => item.type === "message");
+    if (messageItem && state.groundingMetadata) {
+      const outputText = messageItem.content[0];
+      this._translateGroundingToAnnotations(
+        state.groundingMetadata,
+        outputText.text
+      ).forEach(({ url_citation }, annotationIndex) => {
+        const annotation = { type: "url_citation", ...url_citation };
+        outputText.annotations.push(annotation);
+        events.push(
+          this._formatResponsesEvent(
+            state,
+            "response.output_text.annotation.added",
+            {
+              item_id: messageItem.id,
+              output_index: response.output.indexOf(messageItem),
+              content_index: 0,
+              annotation_index: annotationIndex,
+              annotation,
+            }
+          )
+        );
+      });
     }
+    events.push(...this._closeResponsesItem(state));
+    const incompleteReason = {
+      MAX_TOKENS: "max_output_tokens",
+      SAFETY: "content_filter",
+      RECITATION: "content_filter",
+      BLOCKLIST: "content_filter",
+      PROHIBITED_CONTENT: "content_filter",
+      SPII: "content_filter",
+      IMAGE_SAFETY: "content_filter",
+    }[state.finishReason];
+    response.status = incompleteReason ? "incomplete" : "completed";
+    response.incomplete_details = incompleteReason
+      ? { reason: incompleteReason }
+      : null;
+
+    const usage = this._translateUsageToOpenAI(state.usageMetadata || {});
+    response.usage = {
+      input_tokens: usage.prompt_tokens,
+      input_tokens_details: {
+        cached_tokens: usage.prompt_tokens_details.cached_tokens,
+      },
+      output_tokens: usage.completion_tokens,
+      output_tokens_details: {
+        reasoning_tokens: usage.completion_tokens_details.reasoning_tokens,
+      },
+      total_tokens: usage.total_tokens,
+    };
 
-    // 如果没有任何内容变更，则不返回数据（避免空行）
-    if (!delta.content && !delta.reasoning_content && !candidate.finishReason) {
-      return null;
+    events.push(
+      this._formatResponsesEvent(
+        state,
+        incompleteReason ? "response.incomplete" : "response.completed",
+        { response }
+      )
+    );
+    return events;
+  }
+
+  _formatResponsesEvent(state, type, payload) {
+    const data = { type, ...payload, sequence_number: state.sequenceNumber++ };
+    return `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  // 续接用的历史中不保留内联的图片/文件数据，避免每轮对话都在内存里复制一份 base64
+  _storeResponse(response, items, apiKey) {
+    const storedItems = items.map((item) => this._stripInlineMedia(item));
+    const size = Buffer.byteLength(
+      JSON.stringify({ response, items: storedItems })
+    );
+    this.responseStore.set(response.id, {
+      response,
+      items: storedItems,
+      size,
+      createdAt: Date.now(),
+      owner: BatchManager.ownerOf(apiKey),
+    });
+    this.responseStoreBytes += size;
+    this._sweepResponseStore();
+    if (!this.responseStore.has(response.id)) {
+      this.logger.warn(
+        `[Adapter] 响应 ${response.id} 过大 (${size} 字节)，未保存，无法通过 previous_response_id 续接。`
+      );
     }
+  }
 
-    const openaiResponse = {
-      id: `chatcmpl-${this._generateRequestId()}`,
-      object: "chat.completion.chunk",
-      created: Math.floor(Date.now() / 1000),
-      model: modelName,
-      choices: [
-        {
-          index: 0,
-          delta: delta, // 使用包含 reasoning_content 的 delta
-          finish_reason: candidate.finishReason || null,
-        },
-      ],
-    };
+  // 其他 API Key 创建的响应按不存在处理
+  _getStoredResponse(responseId, apiKey) {
+    this._sweepResponseStore();
+    const entry = this.responseStore.get(responseId);
+    if (!entry || entry.owner !== BatchManager.ownerOf(apiKey)) return null;
+    return entry;
+  }
 
-    return `data: ${JSON.stringify(openaiResponse)}\n\n`;
+  _deleteStoredResponse(responseId) {
+    const entry = this.responseStore.get(responseId);
+    if (!entry) return false;
+    this.responseStore.delete(responseId);
+    this.responseStoreBytes -= entry.size;
+    return true;
+  }
+
+  // Map 按插入顺序迭代，从最早的响应开始淘汰过期或超出总大小上限的条目
+  _sweepResponseStore(now = Date.now()) {
+    const ttlMs = this.config.responseStoreTtlMinutes * 60 * 1000;
+    const maxBytes = this.config.responseStoreMaxMB * 1024 * 1024;
+    for (const [responseId, entry] of this.responseStore) {
+      if (now - entry.createdAt < ttlMs && this.responseStoreBytes <= maxBytes)
+        break;
+      this._deleteStoredResponse(responseId);
+    }
+  }
+
+  _stripInlineMedia(item) {
+    if (!Array.isArray(item.content)) return item;
+    const content = item.content.map((part) => {
+      if (part.type === "input_image" && /^data:/i.test(part.image_url || "")) {
+        return { type: "input_text", text: "[image omitted]" };
+      }
+      if (part.type === "input_file" && part.file_data) {
+        return {
+          type: "input_text",
+          text: `[file omitted: ${part.filename || "file"}]`,
+        };
+      }
+      if (part.type === "output_text" && part.text?.includes("](data:")) {
+        return {
+          ...part,
+          text: part.text.replace(
+            /!\[[^\]]*\]\(data:[^)]*\)/g,
+            "[image omitted]"
+          ),
+        };
+      }
+      return part;
+    });
+    return { ...item, content };
   }
 }
 
@@ -2331,6 +7301,7 @@ class ProxyServerSystem extends EventEmitter {
       this.authSource
     );
     this.connectionRegistry = new ConnectionRegistry(this.logger);
+    this.mediaStore = new MediaStore(this.logger, this.config);
     this.requestHandler = new RequestHandler(
       this,
       this.connectionRegistry,
@@ -2339,6 +7310,11 @@ class ProxyServerSystem extends EventEmitter {
       this.config,
       this.authSource
     );
+    this.batchManager = new BatchManager(
+      this.logger,
+      this.config,
+      this.requestHandler
+    );
 
     this.httpServer = null;
     this.wsServer = null;
@@ -2359,6 +7335,64 @@ class ProxyServerSystem extends EventEmitter {
       browserExecutablePath: null,
       apiKeys: [],
       immediateSwitchStatusCodes: [429, 503],
+      embeddingModel: "gemini-embedding-001",
+      imageModel: "gemini-2.5-flash-image-preview",
+      ttsModel: "gemini-2.5-flash-preview-tts",
+      transcriptionModel: "gemini-2.5-flash",
+      // 末尾 assistant 消息 (预填充) 的处理方式：none / continue / drop
+      // (continue 时返回内容只包含续写部分，不含预填充文本)
+      assistantPrefillMode: "none",
+      // OpenAI 音色名 -> Gemini 预置音色名
+      ttsVoiceMap: {
+        alloy: "Kore",
+        ash: "Orus",
+        ballad: "Enceladus",
+        coral: "Aoede",
+        echo: "Charon",
+        fable: "Puck",
+        nova: "Leda",
+        onyx: "Fenrir",
+        sage: "Sulafat",
+        shimmer: "Zephyr",
+        verse: "Iapetus",
+      },
+      reasoningOutputMode: "reasoning_content",
+      // 安全设置：统一阈值字符串、{类别: 阈值} 对象或 Google 原生数组
+      safetySettings: "BLOCK_NONE",
+      modelSafetySettings: {},
+      apiKeySafetySettings: {},
+      // 生成图片的输出方式：inline_data (原生接口保留原始 inlineData) / data_url / hosted_url
+      mediaOutputMode: "data_url",
+      mediaDir: null,
+      mediaTtlMinutes: 60,
+      mediaMaxSizeMB: 500,
+      publicBaseUrl: "",
+      // 开启后 /v1/models 会合并从 v1beta/models 实时拉取的模型列表
+      modelDiscovery: false,
+      modelDiscoveryTtlMinutes: 60,
+      // 自动上下文缓存：估算超过 contextCacheMinTokens 的稳定前缀会被创建为 cachedContents
+      contextCache: false,
+      contextCacheTtlMinutes: 60,
+      contextCacheMinTokens: 4096,
+      // 上下文窗口管理：none / drop_oldest / keep_last / summarize
+      contextWindowStrategy: "none",
+      contextWindowTokens: 1048576,
+      contextKeepLastTurns: 8,
+      // 超限判断方式：estimate (本地估算) / count_tokens (接近上限时调用 countTokens)
+      contextTokenCounting: "estimate",
+      contextSummaryModel: null,
+      // /v1/responses 续接历史的保留时长与内存总上限
+      responseStoreTtlMinutes: 60,
+      responseStoreMaxMB: 50,
+      // 批处理：文件与批次状态的保存目录、并发数、每个账号在时间窗口内的请求额度 (0 为不限)
+      batchDir: null,
+      batchConcurrency: 2,
+      batchAccountBudget: 0,
+      batchBudgetWindowMinutes: 60,
+      // image_url 中的 http(s) 图片由服务端下载 (只允许公网地址)，单张大小上限
+      remoteMediaFetch: false,
+      remoteMediaMaxMB: 20,
+      apiKeyReasoningOutputModes: {},
       // [新增] 用于追踪API密钥来源
       apiKeySource: "未设置",
     };
@@ -2396,6 +7430,85 @@ class ProxyServerSystem extends EventEmitter {
     if (process.env.API_KEYS) {
       config.apiKeys = process.env.API_KEYS.split(",");
     }
+    if (process.env.EMBEDDING_MODEL)
+      config.embeddingModel = process.env.EMBEDDING_MODEL;
+    if (process.env.IMAGE_MODEL) config.imageModel = process.env.IMAGE_MODEL;
+    if (process.env.TTS_MODEL) config.ttsModel = process.env.TTS_MODEL;
+    if (process.env.TRANSCRIPTION_MODEL)
+      config.transcriptionModel = process.env.TRANSCRIPTION_MODEL;
+    if (process.env.ASSISTANT_PREFILL_MODE)
+      config.assistantPrefillMode = process.env.ASSISTANT_PREFILL_MODE;
+    if (process.env.REASONING_OUTPUT_MODE)
+      config.reasoningOutputMode = process.env.REASONING_OUTPUT_MODE;
+    if (process.env.SAFETY_THRESHOLD)
+      config.safetySettings = process.env.SAFETY_THRESHOLD;
+    if (process.env.MEDIA_OUTPUT_MODE)
+      config.mediaOutputMode = process.env.MEDIA_OUTPUT_MODE;
+    if (process.env.MEDIA_DIR) config.mediaDir = process.env.MEDIA_DIR;
+    if (process.env.MEDIA_TTL_MINUTES)
+      config.mediaTtlMinutes =
+        parseInt(process.env.MEDIA_TTL_MINUTES, 10) || config.mediaTtlMinutes;
+    if (process.env.MEDIA_MAX_SIZE_MB)
+      config.mediaMaxSizeMB =
+        parseInt(process.env.MEDIA_MAX_SIZE_MB, 10) || config.mediaMaxSizeMB;
+    if (process.env.PUBLIC_BASE_URL)
+      config.publicBaseUrl = process.env.PUBLIC_BASE_URL;
+    if (process.env.MODEL_DISCOVERY)
+      config.modelDiscovery = process.env.MODEL_DISCOVERY === "true";
+    if (process.env.MODEL_DISCOVERY_TTL_MINUTES)
+      config.modelDiscoveryTtlMinutes =
+        parseInt(process.env.MODEL_DISCOVERY_TTL_MINUTES, 10) ||
+        config.modelDiscoveryTtlMinutes;
+    if (process.env.CONTEXT_CACHE)
+      config.contextCache = process.env.CONTEXT_CACHE === "true";
+    if (process.env.CONTEXT_CACHE_TTL_MINUTES)
+      config.contextCacheTtlMinutes =
+        parseInt(process.env.CONTEXT_CACHE_TTL_MINUTES, 10) ||
+        config.contextCacheTtlMinutes;
+    if (process.env.CONTEXT_CACHE_MIN_TOKENS)
+      config.contextCacheMinTokens =
+        parseInt(process.env.CONTEXT_CACHE_MIN_TOKENS, 10) ||
+        config.contextCacheMinTokens;
+    if (process.env.CONTEXT_WINDOW_STRATEGY)
+      config.contextWindowStrategy = process.env.CONTEXT_WINDOW_STRATEGY;
+    if (process.env.CONTEXT_WINDOW_TOKENS)
+      config.contextWindowTokens =
+        parseInt(process.env.CONTEXT_WINDOW_TOKENS, 10) ||
+        config.contextWindowTokens;
+    if (process.env.CONTEXT_KEEP_LAST_TURNS)
+      config.contextKeepLastTurns =
+        parseInt(process.env.CONTEXT_KEEP_LAST_TURNS, 10) ||
+        config.contextKeepLastTurns;
+    if (process.env.CONTEXT_TOKEN_COUNTING)
+      config.contextTokenCounting = process.env.CONTEXT_TOKEN_COUNTING;
+    if (process.env.CONTEXT_SUMMARY_MODEL)
+      config.contextSummaryModel = process.env.CONTEXT_SUMMARY_MODEL;
+    if (process.env.RESPONSE_STORE_TTL_MINUTES)
+      config.responseStoreTtlMinutes =
+        parseInt(process.env.RESPONSE_STORE_TTL_MINUTES, 10) ||
+        config.responseStoreTtlMinutes;
+    if (process.env.RESPONSE_STORE_MAX_MB)
+      config.responseStoreMaxMB =
+        parseInt(process.env.RESPONSE_STORE_MAX_MB, 10) ||
+        config.responseStoreMaxMB;
+    if (process.env.BATCH_DIR) config.batchDir = process.env.BATCH_DIR;
+    if (process.env.REMOTE_MEDIA_FETCH)
+      config.remoteMediaFetch = process.env.REMOTE_MEDIA_FETCH === "true";
+    if (process.env.REMOTE_MEDIA_MAX_MB)
+      config.remoteMediaMaxMB =
+        parseInt(process.env.REMOTE_MEDIA_MAX_MB, 10) ||
+        config.remoteMediaMaxMB;
+    if (process.env.BATCH_CONCURRENCY)
+      config.batchConcurrency =
+        parseInt(process.env.BATCH_CONCURRENCY, 10) || config.batchConcurrency;
+    if (process.env.BATCH_ACCOUNT_BUDGET)
+      config.batchAccountBudget =
+        parseInt(process.env.BATCH_ACCOUNT_BUDGET, 10) ||
+        config.batchAccountBudget;
+    if (process.env.BATCH_BUDGET_WINDOW_MINUTES)
+      config.batchBudgetWindowMinutes =
+        parseInt(process.env.BATCH_BUDGET_WINDOW_MINUTES, 10) ||
+        config.batchBudgetWindowMinutes;
 
     let rawCodes = process.env.IMMEDIATE_SWITCH_STATUS_CODES;
     let codesSource = "环境变量";
@@ -2442,9 +7555,24 @@ class ProxyServerSystem extends EventEmitter {
     try {
       if (fs.existsSync(modelsPath)) {
         const modelsFileContent = fs.readFileSync(modelsPath, "utf-8");
-        config.modelList = JSON.parse(modelsFileContent); // 将读取到的模型列表存入config对象
+        // 每一项可以是模型名字符串，也可以是带 id 和模型专属配置 (如 reasoningEffort) 的对象；
+        // 带 target 的对象是别名，可附带 generationConfig / safetySettings 作为默认参数
+        const modelEntries = JSON.parse(modelsFileContent);
+        config.modelList = modelEntries.map((entry) =>
+          typeof entry === "string" ? entry : entry.id
+        ); // 将读取到的模型列表存入config对象
+        config.modelSettings = {};
+        for (const entry of modelEntries) {
+          if (typeof entry === "object") {
+            const { id, ...settings } = entry;
+            config.modelSettings[id] = settings;
+          }
+        }
+        const aliasCount = Object.values(config.modelSettings).filter(
+          (settings) => settings.target
+        ).length;
         this.logger.info(
-          `[System] 已从 models.json 成功加载 ${config.modelList.length} 个模型。`
+          `[System] 已从 models.json 成功加载 ${config.modelList.length} 个模型 (其中别名 ${aliasCount} 个)。`
         );
       } else {
         this.logger.warn(
@@ -2488,6 +7616,70 @@ class ProxyServerSystem extends EventEmitter {
     this.logger.info(`  单次请求最大重试: ${this.config.maxRetries}次`);
     this.logger.info(`  重试间隔: ${this.config.retryDelay}ms`);
     this.logger.info(`  API 密钥来源: ${this.config.apiKeySource}`); // 在启动日志中也显示出来
+    this.logger.info(`  默认嵌入模型: ${this.config.embeddingModel}`);
+    this.logger.info(`  默认图片模型: ${this.config.imageModel}`);
+    this.logger.info(`  默认语音模型: ${this.config.ttsModel}`);
+    this.logger.info(`  默认转写模型: ${this.config.transcriptionModel}`);
+    this.logger.info(
+      `  安全设置: ${
+        typeof this.config.safetySettings === "string"
+          ? this.config.safetySettings
+          : "自定义"
+      } (按模型覆盖: ${
+        Object.keys(this.config.modelSafetySettings || {}).length
+      } 个, 按Key覆盖: ${
+        Object.keys(this.config.apiKeySafetySettings || {}).length
+      } 个)`
+    );
+    this.logger.info(
+      `  图片输出方式: ${this.config.mediaOutputMode} (保留 ${this.config.mediaTtlMinutes} 分钟, 上限 ${this.config.mediaMaxSizeMB} MB)`
+    );
+    this.logger.info(
+      `  实时模型列表: ${
+        this.config.modelDiscovery
+          ? `已启用 (缓存 ${this.config.modelDiscoveryTtlMinutes} 分钟)`
+          : "已禁用"
+      }`
+    );
+    this.logger.info(
+      `  自动上下文缓存: ${
+        this.config.contextCache
+          ? `已启用 (最小 ${this.config.contextCacheMinTokens} tokens, 保留 ${this.config.contextCacheTtlMinutes} 分钟)`
+          : "已禁用"
+      }`
+    );
+    this.logger.info(
+      `  上下文窗口管理: ${this.config.contextWindowStrategy}${
+        this.config.contextWindowStrategy === "keep_last"
+          ? ` (保留最近 ${this.config.contextKeepLastTurns} 轮)`
+          : ""
+      }, 计数方式: ${this.config.contextTokenCounting}`
+    );
+    this.logger.info(
+      `  Responses 历史保存: ${this.config.responseStoreTtlMinutes} 分钟, 上限 ${this.config.responseStoreMaxMB} MB`
+    );
+    this.logger.info(
+      `  远程图片下载: ${
+        this.config.remoteMediaFetch
+          ? `已启用 (上限 ${this.config.remoteMediaMaxMB} MB)`
+          : "已禁用"
+      }`
+    );
+    this.logger.info(
+      `  批处理: 并发 ${this.config.batchConcurrency}, 每账号额度 ${
+        this.config.batchAccountBudget > 0
+          ? `${this.config.batchAccountBudget} 次/${this.config.batchBudgetWindowMinutes} 分钟`
+          : "不限"
+      }`
+    );
+    this.logger.info(
+      `  末尾 assistant 消息处理: ${this.config.assistantPrefillMode}`
+    );
+    this.logger.info(
+      `  思考内容输出方式: ${this.config.reasoningOutputMode} (按Key覆盖: ${
+        Object.keys(this.config.apiKeyReasoningOutputModes || {}).length
+      } 个)`
+    );
     this.logger.info(
       "============================================================="
     );
@@ -2587,6 +7779,8 @@ class ProxyServerSystem extends EventEmitter {
         if (req.query.key) {
           delete req.query.key;
         }
+        // 记录本次使用的 API Key，供按 Key 区分的配置 (如思考内容输出方式) 使用
+        req.apiKey = clientKey;
         return next();
       }
 
@@ -2644,6 +7838,10 @@ class ProxyServerSystem extends EventEmitter {
         "Access-Control-Allow-Headers",
         "Content-Type, Authorization, x-requested-with, x-api-key, x-goog-api-key, origin, accept"
       );
+      res.header(
+        "Access-Control-Expose-Headers",
+        "X-Context-Truncated, X-Ignored-Params"
+      );
       if (req.method === "OPTIONS") {
         return res.sendStatus(204);
       }
@@ -3022,29 +8220,108 @@ class ProxyServerSystem extends EventEmitter {
 
     app.use(this._createAuthMiddleware());
 
-    app.get("/v1/models", (req, res) => {
-      const modelIds = this.config.modelList || ["gemini-2.5-pro"];
-
-      const models = modelIds.map((id) => ({
-        id: id,
-        object: "model",
-        created: Math.floor(Date.now() / 1000),
-        owned_by: "google",
-      }));
-
-      res.status(200).json({
-        object: "list",
-        data: models,
-      });
+    // multipart 上传 (图片编辑、语音转写)，文件只保存在内存中；20 MB 与 Gemini 内联数据的上限一致
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: 20 * 1024 * 1024 },
     });
+    // multer 的错误 (文件过大、字段过多等) 默认会变成 Express 的 HTML 500，这里改为 OpenAI 风格的 JSON 错误
+    const withUpload = (middleware) => (req, res, next) =>
+      middleware(req, res, (error) => {
+        if (!error) return next();
+        this.logger.warn(`[Request] 上传文件解析失败: ${error.message}`);
+        this.requestHandler._sendOpenAIError(
+          res,
+          error.code === "LIMIT_FILE_SIZE" ? 413 : 400,
+          `Invalid multipart upload: ${error.message}`
+        );
+      });
 
-    app.post("/v1/chat/completions", (req, res) => {
-      this.requestHandler.processOpenAIRequest(req, res);
+    app.get("/media/:fileName", async (req, res) => {
+      const filePath = await this.mediaStore.resolve(req.params.fileName);
+      if (!filePath) {
+        return res.status(404).send("Media not found or expired.");
+      }
+      res.sendFile(filePath);
     });
-    app.all(/(.*)/, (req, res) => {
-      this.requestHandler.processRequest(req, res);
+
+    // 批处理输入文件可能较大，直接落盘到 BatchManager 的上传目录 (首次上传时才创建目录)
+    const batchUpload = multer({
+      storage: multer.diskStorage({
+        destination: (req, file, callback) => {
+          const uploadDir = this.batchManager.uploadDir;
+          fs.mkdir(uploadDir, { recursive: true }, (error) =>
+            callback(error, uploadDir)
+          );
+        },
+      }),
+      limits: { fileSize: 200 * 1024 * 1024 },
     });
 
+    // 处理器大多是 async 函数：未捕获的异常统一转为 500 响应，避免未处理的 Promise rejection 使进程退出
+    const route =
+      (methodName, ...args) =>
+      (req, res) => {
+        Promise.resolve()
+          .then(() => this.requestHandler[methodName](req, res, ...args))
+          .catch((error) => {
+            this.logger.error(
+              `[Request] 处理 ${req.method} ${req.path} 时发生未捕获的错误: ${
+                error.stack || error.message
+              }`
+            );
+            if (!res.headersSent) {
+              this.requestHandler._sendOpenAIError(
+                res,
+                500,
+                "Internal server error."
+              );
+            } else if (!res.writableEnded) {
+              res.end();
+            }
+          });
+      };
+
+    app.get("/v1/models", route("processListModelsRequest"));
+
+    app.get("/v1/models/:modelId", route("processGetModelRequest"));
+
+    app.post("/v1/chat/completions", route("processOpenAIRequest"));
+    app.post("/v1/embeddings", route("processEmbeddingsRequest"));
+    app.post("/v1/messages", route("processAnthropicRequest"));
+    app.post("/v1/responses", route("processResponsesRequest"));
+    app.get("/v1/responses/:responseId", route("processGetResponse"));
+    app.delete("/v1/responses/:responseId", route("processDeleteResponse"));
+    app.post(
+      "/v1/images/generations",
+      route("processImageRequest", "generations")
+    );
+    app.post(
+      "/v1/images/edits",
+      withUpload(upload.any()),
+      route("processImageRequest", "edits")
+    );
+    app.post("/v1/audio/speech", route("processSpeechRequest"));
+    app.post(
+      "/v1/audio/transcriptions",
+      withUpload(upload.single("file")),
+      route("processTranscriptionRequest")
+    );
+    app.post(
+      "/v1/files",
+      withUpload(batchUpload.single("file")),
+      route("processCreateFile")
+    );
+    app.get("/v1/files", route("processListFiles"));
+    app.get("/v1/files/:fileId", route("processGetFile"));
+    app.get("/v1/files/:fileId/content", route("processGetFileContent"));
+    app.delete("/v1/files/:fileId", route("processDeleteFile"));
+    app.post("/v1/batches", route("processCreateBatch"));
+    app.get("/v1/batches", route("processListBatches"));
+    app.get("/v1/batches/:batchId", route("processGetBatch"));
+    app.post("/v1/batches/:batchId/cancel", route("processCancelBatch"));
+    app.all(/(.*)/, route("processRequest"));
+
     return app;
   }
 